@@ -0,0 +1,142 @@
+// Flow analytics for the <asset>Summary blocks in etf-flows.json.
+//
+// All windows count trading days, i.e. records: Farside only lists days the
+// market was open. Flows are USD millions, shares are fractions (0.25 = 25%).
+
+const ROLLING_WINDOWS = [5, 20, 60];
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function round4(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function sum(values) {
+    return values.reduce((acc, value) => acc + (value ?? 0), 0);
+}
+
+// { d5, d20, d60 } sums of the most recent N values (values are newest first)
+function rollingSums(values) {
+    const result = {};
+    ROLLING_WINDOWS.forEach(days => {
+        result[`d${days}`] = round1(sum(values.slice(0, days)));
+    });
+    return result;
+}
+
+// Current run of same-signed days, counted back from the latest day. A zero
+// or missing day ends the run.
+function currentStreak(values, dates) {
+    const sign = Math.sign(values[0] ?? 0);
+    if (sign === 0) {
+        return { direction: 'flat', days: 0, flow: 0, since: null };
+    }
+
+    let days = 0;
+    while (days < values.length && Math.sign(values[days] ?? 0) === sign) {
+        days++;
+    }
+
+    return {
+        direction: sign > 0 ? 'inflow' : 'outflow',
+        days,
+        flow: round1(sum(values.slice(0, days))),
+        since: dates[days - 1]
+    };
+}
+
+function extremes(values, dates) {
+    let maxIdx = -1;
+    let minIdx = -1;
+    values.forEach((value, i) => {
+        if (value === null) return;
+        if (value > 0 && (maxIdx === -1 || value > values[maxIdx])) maxIdx = i;
+        if (value < 0 && (minIdx === -1 || value < values[minIdx])) minIdx = i;
+    });
+
+    return {
+        largestInflow: maxIdx === -1 ? null : { date: dates[maxIdx], flow: values[maxIdx] },
+        largestOutflow: minIdx === -1 ? null : { date: dates[minIdx], flow: values[minIdx] }
+    };
+}
+
+// Gross inflows (sum of positive days) of one series
+function grossInflow(values) {
+    return values.reduce((acc, value) => acc + (value > 0 ? value : 0), 0);
+}
+
+function flowStats(values, dates) {
+    return {
+        cumulativeFlow: round1(sum(values)),
+        rolling: rollingSums(values),
+        streak: currentStreak(values, dates),
+        ...extremes(values, dates)
+    };
+}
+
+// Per-asset and per-issuer analytics. Records before the registry launch date
+// are ignored so "since launch" means the same thing for every asset.
+function computeAnalytics(dataset, asset) {
+    const records = dataset.records.filter(r => r.date >= asset.launchDate);
+    const dates = records.map(r => r.date);
+    const totals = records.map(r => r.total);
+
+    const issuerSeries = {};
+    dataset.issuers.forEach(issuer => {
+        issuerSeries[issuer] = records.map(r => r.flows[issuer] ?? null);
+    });
+
+    // Inflow share: the issuer's slice of all gross inflows, all-time and over
+    // the last 20 days. Net shares are meaningless once an issuer (GBTC) has
+    // large outflows, so only positive days count.
+    const grossAll = sum(dataset.issuers.map(i => grossInflow(issuerSeries[i])));
+    const grossRecent = sum(dataset.issuers.map(i => grossInflow(issuerSeries[i].slice(0, 20))));
+
+    // An issuer with no reported flow at all has unknown stats, not zero ones
+    const reported = issuer => issuerSeries[issuer].some(value => value !== null);
+
+    const issuers = {};
+    dataset.issuers.forEach(issuer => {
+        const values = issuerSeries[issuer];
+        if (!reported(issuer)) {
+            issuers[issuer] = null;
+            return;
+        }
+        issuers[issuer] = {
+            ...flowStats(values, dates),
+            inflowShare: {
+                all: grossAll > 0 ? round4(grossInflow(values) / grossAll) : null,
+                d20: grossRecent > 0 ? round4(grossInflow(values.slice(0, 20)) / grossRecent) : null
+            }
+        };
+    });
+
+    const analytics = {
+        ...flowStats(totals, dates),
+        issuers
+    };
+
+    // Legacy converted trusts (GBTC, ETHE) against every other issuer
+    const legacy = (asset.legacyIssuers || []).filter(issuer => dataset.issuers.includes(issuer));
+    if (legacy.length > 0 && legacy.some(reported)) {
+        const rest = dataset.issuers.filter(issuer => !legacy.includes(issuer));
+        const combine = group => records.map((_, i) => sum(group.map(issuer => issuerSeries[issuer][i])));
+        const legacyValues = combine(legacy);
+        const restValues = combine(rest);
+
+        analytics.legacyVsRest = {
+            legacy,
+            legacyFlow: { cumulativeFlow: round1(sum(legacyValues)), rolling: rollingSums(legacyValues) },
+            restFlow: { cumulativeFlow: round1(sum(restValues)), rolling: rollingSums(restValues) }
+        };
+    }
+
+    return analytics;
+}
+
+module.exports = {
+    ROLLING_WINDOWS,
+    computeAnalytics
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// Asset registry: config/assets.json is the single list of ETF products the
+// scraper knows about. Adding a product (e.g. XRP, LTC, a basket fund) means
+// adding an entry there; scraping, summaries and the output file follow it.
+//
+//   id             key used in etf-flows.json ("bitcoin" -> bitcoin, bitcoinSummary)
+//   name           display name
+//   symbol         short label for charts (BTC)
+//   coingeckoId    CoinGecko coin id for price / market cap lookups
+//   coinbaseProduct  Coinbase Exchange product (BTC-USD) for closes older than
+//                  CoinGecko's 365 days (optional)
+//   url            Farside page with the full flow table
+//   launchDate     first trading day of the spot ETFs (YYYY-MM-DD)
+//   issuers        expected issuer tickers, in Farside column order
+//   legacyIssuers  converted trusts (GBTC, ETHE) compared against the rest (optional)
+//   openingCoins   legacy issuer -> coins held before its first Farside row,
+//                  from the issuer's published holdings (optional)
+
+const REGISTRY_PATH = path.join(__dirname, '..', 'config', 'assets.json');
+
+const REQUIRED_FIELDS = ['id', 'name', 'symbol', 'coingeckoId', 'url', 'launchDate', 'issuers'];
+
+function loadAssets(registryPath = REGISTRY_PATH) {
+    const assets = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+
+    if (!Array.isArray(assets) || assets.length === 0) {
+        throw new Error(`${registryPath}: expected a non-empty array of assets`);
+    }
+
+    const seen = new Set();
+    assets.forEach((asset, i) => {
+        const missing = REQUIRED_FIELDS.filter(field => asset[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`${registryPath}[${i}]: missing ${missing.join(', ')}`);
+        }
+        if (!/^[a-z][a-z0-9]*$/.test(asset.id)) {
+            throw new Error(`${registryPath}[${i}]: id "${asset.id}" must be lowercase alphanumeric`);
+        }
+        if (seen.has(asset.id)) {
+            throw new Error(`${registryPath}[${i}]: duplicate id "${asset.id}"`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(asset.launchDate)) {
+            throw new Error(`${registryPath}[${i}]: launchDate must be YYYY-MM-DD`);
+        }
+        seen.add(asset.id);
+    });
+
+    return assets;
+}
+
+// Public metadata written to etf-flows.json so the dashboard can discover assets
+function describeAsset(asset) {
+    return {
+        id: asset.id,
+        name: asset.name,
+        symbol: asset.symbol,
+        coingeckoId: asset.coingeckoId,
+        launchDate: asset.launchDate
+    };
+}
+
+module.exports = {
+    REGISTRY_PATH,
+    loadAssets,
+    describeAsset
+};
@@ -0,0 +1,220 @@
+// NYSE trading calendar and calendar rollups (ISO week, month, quarter).
+//
+// US spot ETFs only trade on NYSE/Nasdaq sessions, so a period's expected day
+// count comes from this calendar rather than from counting Farside rows. All
+// dates are handled as YYYY-MM-DD strings in UTC to avoid timezone drift.
+
+// One-off closures that don't follow the holiday rules
+const SPECIAL_CLOSURES = [
+    '2025-01-09' // National Day of Mourning, President Carter
+];
+
+function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toIso(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function fromIso(iso) {
+    const [year, month, day] = iso.split('-').map(Number);
+    return utcDate(year, month, day);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+// nth weekday of a month (weekday 0 = Sunday); n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+        const first = utcDate(year, month, 1);
+        const offset = (weekday - first.getUTCDay() + 7) % 7;
+        return utcDate(year, month, 1 + offset + (n - 1) * 7);
+    }
+    const last = utcDate(year, month + 1, 0);
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return addDays(last, -offset);
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utcDate(year, month, day);
+}
+
+// Saturday holidays move to Friday, Sunday holidays to Monday
+function observed(date) {
+    const weekday = date.getUTCDay();
+    if (weekday === 6) return addDays(date, -1);
+    if (weekday === 0) return addDays(date, 1);
+    return date;
+}
+
+const holidayCache = new Map();
+
+function nyseHolidays(year) {
+    if (holidayCache.has(year)) return holidayCache.get(year);
+
+    const holidays = [
+        // NYSE does not close on Friday Dec 31 when Jan 1 is a Saturday
+        utcDate(year, 1, 1).getUTCDay() === 6 ? null : observed(utcDate(year, 1, 1)),
+        nthWeekday(year, 1, 1, 3),             // Martin Luther King Jr. Day
+        nthWeekday(year, 2, 1, 3),             // Washington's Birthday
+        addDays(easterSunday(year), -2),       // Good Friday
+        nthWeekday(year, 5, 1, -1),            // Memorial Day
+        year >= 2022 ? observed(utcDate(year, 6, 19)) : null, // Juneteenth
+        observed(utcDate(year, 7, 4)),         // Independence Day
+        nthWeekday(year, 9, 1, 1),             // Labor Day
+        nthWeekday(year, 11, 4, 4),            // Thanksgiving
+        observed(utcDate(year, 12, 25))        // Christmas
+    ].filter(Boolean).map(toIso);
+
+    const result = new Set([
+        ...holidays,
+        ...SPECIAL_CLOSURES.filter(date => date.startsWith(`${year}-`))
+    ]);
+    holidayCache.set(year, result);
+    return result;
+}
+
+function isHoliday(iso) {
+    return nyseHolidays(Number(iso.slice(0, 4))).has(iso);
+}
+
+function isTradingDay(iso) {
+    const weekday = fromIso(iso).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !isHoliday(iso);
+}
+
+// ISO-8601 week: weeks start Monday, week 1 contains the year's first Thursday
+function isoWeek(iso) {
+    const date = fromIso(iso);
+    const thursday = addDays(date, 3 - ((date.getUTCDay() + 6) % 7));
+    const weekYear = thursday.getUTCFullYear();
+    const week = Math.ceil(((thursday - utcDate(weekYear, 1, 1)) / 86400000 + 1) / 7);
+    return `${weekYear}-W${String(week).padStart(2, '0')}`;
+}
+
+const GRANULARITIES = {
+    weekly: {
+        periodOf: isoWeek,
+        bounds(iso) {
+            const date = fromIso(iso);
+            const monday = addDays(date, -((date.getUTCDay() + 6) % 7));
+            return [monday, addDays(monday, 6)];
+        }
+    },
+    monthly: {
+        periodOf: iso => iso.slice(0, 7),
+        bounds(iso) {
+            const [year, month] = iso.split('-').map(Number);
+            return [utcDate(year, month, 1), utcDate(year, month + 1, 0)];
+        }
+    },
+    quarterly: {
+        periodOf: iso => `${iso.slice(0, 4)}-Q${Math.ceil(Number(iso.slice(5, 7)) / 3)}`,
+        bounds(iso) {
+            const year = Number(iso.slice(0, 4));
+            const firstMonth = (Math.ceil(Number(iso.slice(5, 7)) / 3) - 1) * 3 + 1;
+            return [utcDate(year, firstMonth, 1), utcDate(year, firstMonth + 3, 0)];
+        }
+    }
+};
+
+// Trading days and holidays (weekday closures) between two dates, inclusive
+function sessionsBetween(start, end) {
+    const tradingDays = [];
+    const holidays = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+        const iso = toIso(date);
+        if (isTradingDay(iso)) {
+            tradingDays.push(iso);
+        } else if (date.getUTCDay() !== 0 && date.getUTCDay() !== 6) {
+            holidays.push(iso);
+        }
+    }
+    return { tradingDays, holidays };
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Aggregate daily records into one granularity, newest period first.
+// A period is partial when fewer days were reported than NYSE was open for;
+// partialReason says why: the period is still running ("in-progress", after
+// asOf), the asset launched mid-period ("launch"), or rows are simply absent
+// from Farside ("missing-days").
+function rollup(dataset, granularity, { launchDate, asOf }) {
+    const { periodOf, bounds } = GRANULARITIES[granularity];
+    const periods = new Map();
+
+    for (const record of dataset.records) {
+        const key = periodOf(record.date);
+        if (!periods.has(key)) periods.set(key, []);
+        periods.get(key).push(record);
+    }
+
+    return Array.from(periods.entries()).map(([period, records]) => {
+        const [first, last] = bounds(records[0].date);
+        const { tradingDays, holidays } = sessionsBetween(first, last);
+
+        let partialReason = null;
+        if (records.length < tradingDays.length) {
+            if (tradingDays.some(day => day > asOf)) partialReason = 'in-progress';
+            else if (tradingDays.some(day => day < launchDate)) partialReason = 'launch';
+            else partialReason = 'missing-days';
+        }
+
+        // null when no day of the period reported the issuer
+        const flows = {};
+        dataset.issuers.forEach(issuer => {
+            flows[issuer] = records.some(r => r.flows[issuer] !== null)
+                ? round1(records.reduce((sum, r) => sum + (r.flows[issuer] ?? 0), 0))
+                : null;
+        });
+
+        return {
+            period,
+            start: tradingDays[0] || toIso(first),
+            end: tradingDays[tradingDays.length - 1] || toIso(last),
+            tradingDays: tradingDays.length,
+            reportedDays: records.length,
+            partial: partialReason !== null,
+            partialReason,
+            holidays,
+            total: round1(records.reduce((sum, r) => sum + (r.total ?? 0), 0)),
+            flows
+        };
+    });
+}
+
+function buildRollups(dataset, options) {
+    return {
+        weekly: rollup(dataset, 'weekly', options),
+        monthly: rollup(dataset, 'monthly', options),
+        quarterly: rollup(dataset, 'quarterly', options)
+    };
+}
+
+module.exports = {
+    nyseHolidays,
+    isTradingDay,
+    isoWeek,
+    buildRollups
+};
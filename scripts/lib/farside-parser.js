@@ -0,0 +1,171 @@
+const cheerio = require('cheerio');
+
+// Farside table parsing, independent of how the HTML was obtained (live
+// Puppeteer page, saved file or recorded fixture).
+
+// Must have a number AND a month name (like "11 Jan 2024" or "23 Jul")
+const DATE_WITH_MONTH = /\d{1,2}\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i;
+
+// Skip rows that are clearly not dates
+const SKIP_WORDS = /^(seed|fee|total|date|nav|aum|\s*$)/i;
+
+// Labelled rows kept aside as per-issuer metadata (fee rate, seed capital,
+// Farside's cumulative Total, NAV / AUM when shown)
+const META_ROW = /^(seed|fee|total|nav|aum)$/i;
+
+// Reduce an HTML document to plain data: tables -> rows -> cells.
+// Each cell is { tag: 'th' | 'td', text }.
+function extractTables(html) {
+    const $ = cheerio.load(html);
+
+    return $('table').toArray().map(table =>
+        $(table).find('tr').toArray().map(row =>
+            $(row).find('th, td').toArray().map(cell => ({
+                tag: cell.tagName.toLowerCase(),
+                text: $(cell).text().trim()
+            }))
+        )
+    );
+}
+
+// Pick the Farside flow table out of the extracted tables and turn it into
+// { headers, records, meta } of raw strings, records newest first. meta maps
+// a row label ("fee", "seed", "total") to that row. expectedIssuers (from the
+// asset registry) helps locate the ticker row among the header rows.
+function parseFarsideTables(tables, { expectedIssuers = [] } = {}) {
+    const debugInfo = [];
+
+    debugInfo.push(`Found ${tables.length} tables on page`);
+
+    if (tables.length === 0) {
+        return { error: 'No tables found', debugInfo };
+    }
+
+    // Find the largest table
+    let rows = null;
+    tables.forEach((table, idx) => {
+        debugInfo.push(`Table ${idx}: ${table.length} rows`);
+        if (table.length > (rows?.length || 0)) {
+            rows = table;
+        }
+    });
+
+    if (!rows) {
+        return { error: 'No suitable table found', debugInfo };
+    }
+
+    debugInfo.push(`Using table with ${rows.length} rows`);
+
+    // Log first 3 rows' structure for debugging
+    for (let i = 0; i < Math.min(3, rows.length); i++) {
+        const ths = rows[i].filter(c => c.tag === 'th').length;
+        const tds = rows[i].filter(c => c.tag === 'td').length;
+        const cellTexts = rows[i].slice(0, 5).map(c => c.text.substring(0, 20));
+        debugInfo.push(`Row ${i}: ${ths} th, ${tds} td, content: [${cellTexts.join(' | ')}]`);
+    }
+
+    // Determine header row - prefer the row naming the most expected tickers
+    // (Farside stacks issuer names, tickers and logos in separate rows)
+    let headerRowIndex = -1;
+    let bestMatches = 0;
+    for (let i = 0; i < Math.min(5, rows.length); i++) {
+        const matches = rows[i].filter(c => expectedIssuers.includes(c.text)).length;
+        if (matches > bestMatches) {
+            bestMatches = matches;
+            headerRowIndex = i;
+        }
+    }
+
+    // Otherwise look for row with th elements or first row
+    if (headerRowIndex === -1) {
+        headerRowIndex = 0;
+        for (let i = 0; i < Math.min(5, rows.length); i++) {
+            const ths = rows[i].filter(c => c.tag === 'th').length;
+            if (ths > 2) { // Row with multiple th elements is likely headers
+                headerRowIndex = i;
+                break;
+            }
+        }
+    }
+    debugInfo.push(`Header row index: ${headerRowIndex}` +
+        (bestMatches > 0 ? ` (${bestMatches}/${expectedIssuers.length} expected tickers)` : ''));
+
+    // The ticker row usually leaves the Total column blank; borrow the label
+    // from another header row so the column is still recognisable
+    const totalLabelFor = (idx) => rows.slice(0, 5)
+        .map(row => row[idx]?.text || '')
+        .find(text => /^(total|net)$/i.test(text)) || '';
+
+    // Extract headers
+    const headers = [];
+    (rows[headerRowIndex] || []).forEach((cell, idx) => {
+        let text = cell.text || (idx > 0 ? totalLabelFor(idx) : '');
+        // If empty, generate a name
+        if (!text) {
+            text = idx === 0 ? 'Date' : `ETF_${idx}`;
+        }
+        // Issuers with two funds (e.g. Blackrock, Grayscale on ETH) repeat
+        // the same header; keep both columns instead of overwriting one
+        let unique = text;
+        for (let n = 2; headers.includes(unique); n++) {
+            unique = `${text} (${n})`;
+        }
+        headers.push(unique);
+    });
+    debugInfo.push(`Headers (${headers.length}): ${headers.slice(0, 6).join(', ')}`);
+
+    // Extract data rows
+    const records = [];
+    const meta = {};
+    for (let i = headerRowIndex + 1; i < rows.length; i++) {
+        const cells = rows[i];
+
+        if (cells.length === 0) continue;
+
+        const record = {};
+        cells.forEach((cell, index) => {
+            const header = headers[index] || `col_${index}`;
+            record[header] = cell.text;
+        });
+
+        // Include row only if first column looks like an actual date
+        const firstCol = record[headers[0]] || '';
+        const isActualDate = DATE_WITH_MONTH.test(firstCol);
+        const shouldSkip = SKIP_WORDS.test(firstCol.trim());
+
+        if (isActualDate && !shouldSkip) {
+            records.push(record);
+        } else if (META_ROW.test(firstCol.trim())) {
+            // First occurrence wins; Farside repeats some labels in footers
+            const label = firstCol.trim().toLowerCase();
+            if (!meta[label]) meta[label] = record;
+        }
+    }
+
+    // Reverse to get newest first (Farside shows oldest first)
+    records.reverse();
+
+    debugInfo.push(`Parsed ${records.length} records (reversed to newest-first)`);
+    if (Object.keys(meta).length > 0) {
+        debugInfo.push(`Metadata rows: ${Object.keys(meta).join(', ')}`);
+    }
+
+    // Log a sample record
+    if (records.length > 0) {
+        const sample = records[0];
+        const sampleStr = Object.entries(sample).slice(0, 4).map(([k, v]) => `${k}:${v}`).join(', ');
+        debugInfo.push(`Sample record: ${sampleStr}`);
+    }
+
+    return { headers, records, meta, debugInfo };
+}
+
+function parseFarsideHtml(html, options) {
+    return parseFarsideTables(extractTables(html), options);
+}
+
+module.exports = {
+    extractTables,
+    parseFarsideTables,
+    parseFarsideHtml
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFarsideHtml } = require('./farside-parser');
+const { normalizeDataset, validateDataset } = require('./schema');
+const { loadAssets } = require('./assets');
+
+// Replays recorded Farside pages through the parser and compares the result
+// with fixtures/farside/expected.json, so markup changes can be reproduced and
+// fixed offline. Run with `npm run fixtures`.
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'farside');
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Sum every column (issuers plus "total") over all records, ignoring nulls
+function columnTotals(dataset) {
+    const totals = {};
+    dataset.issuers.forEach(issuer => {
+        totals[issuer] = 0;
+    });
+    totals.total = 0;
+
+    for (const record of dataset.records) {
+        for (const [issuer, value] of Object.entries(record.flows)) {
+            totals[issuer] += value ?? 0;
+        }
+        totals.total += record.total ?? 0;
+    }
+
+    for (const key of Object.keys(totals)) {
+        totals[key] = round1(totals[key]);
+    }
+    return totals;
+}
+
+// What the parser makes of one saved page, in the shape of an expected.json
+// entry. recordedAt anchors the year inference for dates without a year.
+function describeFixture(html, expectedIssuers, recordedAt) {
+    const raw = parseFarsideHtml(html, { expectedIssuers });
+    if (raw.error) {
+        return { error: `parser error: ${raw.error}` };
+    }
+
+    const dataset = normalizeDataset(raw, new Date(recordedAt));
+    return {
+        raw,
+        dataset,
+        headers: raw.headers,
+        rows: raw.records.length,
+        metaRows: Object.keys(raw.meta),
+        latestDate: dataset.records[0]?.date ?? null,
+        oldestDate: dataset.records[dataset.records.length - 1]?.date ?? null,
+        totals: columnTotals(dataset)
+    };
+}
+
+function checkFixture(dir, asset, expected, expectedIssuers) {
+    const failures = [];
+    const expect = (label, actual, wanted) => {
+        if (JSON.stringify(actual) !== JSON.stringify(wanted)) {
+            failures.push(`${label}: expected ${JSON.stringify(wanted)}, got ${JSON.stringify(actual)}`);
+        }
+    };
+
+    const html = fs.readFileSync(path.join(dir, expected.file), 'utf8');
+    const actual = describeFixture(html, expectedIssuers, expected.recordedAt);
+    if (actual.error) {
+        return [actual.error];
+    }
+
+    expect('headers', actual.headers, expected.headers);
+    expect('rows', actual.rows, expected.rows);
+    expect('metaRows', actual.metaRows, expected.metaRows);
+
+    const { errors } = validateDataset(actual.dataset, asset);
+    failures.push(...errors);
+    if (errors.length > 0) return failures;
+
+    expect('latestDate', actual.latestDate, expected.latestDate);
+    expect('oldestDate', actual.oldestDate, expected.oldestDate);
+    expect('totals', actual.totals, expected.totals);
+
+    return failures;
+}
+
+// Returns true when every fixture matches its expectations. An empty corpus
+// fails: nothing has been checked.
+function checkFixtures(dir = FIXTURES_DIR) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'expected.json'), 'utf8'));
+    const registry = loadAssets();
+    let passed = 0;
+
+    console.log(`Checking Farside fixtures in ${dir}`);
+
+    const total = Object.keys(manifest).length;
+    if (total === 0) {
+        console.log('  No recorded pages yet: run `npm run scrape -- --save-html fixtures/farside`, then `npm run scrape -- --update-fixtures`, or trigger the Record Fixtures workflow');
+        return false;
+    }
+
+    for (const [asset, expected] of Object.entries(manifest)) {
+        const expectedIssuers = registry.find(a => a.id === asset)?.issuers || [];
+        const failures = checkFixture(dir, asset, expected, expectedIssuers);
+        if (failures.length === 0) {
+            passed++;
+            console.log(`  PASS ${asset} (${expected.file})`);
+        } else {
+            console.log(`  FAIL ${asset} (${expected.file})`);
+            failures.forEach(msg => console.log(`    ${msg}`));
+        }
+    }
+
+    console.log(`\n${passed}/${total} fixtures passed`);
+    return passed === total;
+}
+
+// Rewrite expected.json from the pages saved in dir (<asset>.html, as written
+// by --save-html), dated by the files' modification times. Review the diff
+// before committing: this records whatever the parser currently returns.
+// Returns true when every saved page parsed.
+function updateFixtures(dir = FIXTURES_DIR) {
+    const manifest = {};
+    let ok = true;
+
+    console.log(`Recording Farside fixtures in ${dir}`);
+
+    for (const asset of loadAssets()) {
+        const file = `${asset.id}.html`;
+        const filePath = path.join(dir, file);
+        if (!fs.existsSync(filePath)) {
+            console.log(`  SKIP ${asset.id} (no ${file})`);
+            continue;
+        }
+
+        const recordedAt = fs.statSync(filePath).mtime.toISOString();
+        const { error, raw, dataset, ...expected } = describeFixture(fs.readFileSync(filePath, 'utf8'), asset.issuers, recordedAt);
+        if (error) {
+            console.log(`  FAIL ${asset.id} (${file}): ${error}`);
+            ok = false;
+            continue;
+        }
+
+        manifest[asset.id] = { file, recordedAt, ...expected };
+        console.log(`  ${asset.id}: ${expected.rows} rows, ${expected.oldestDate} to ${expected.latestDate}`);
+    }
+
+    fs.writeFileSync(path.join(dir, 'expected.json'), JSON.stringify(manifest, null, 2) + '\n');
+    return ok;
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    columnTotals,
+    checkFixtures,
+    updateFixtures
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const { SCHEMA_VERSION, migrateV1Dataset } = require('./schema');
+
+// Per-asset scrape health and partial-failure handling.
+//
+// A single Farside page failing must not wipe that asset from the published
+// file: its last good dataset is carried over from the previous etf-flows.json
+// and marked stale. A fresh scrape that is smaller or older than what is
+// already published is treated as a regression and blocks the publish.
+//
+//   status              "ok" (scraped this run), "stale" (carried over) or "failed" (no data at all)
+//   method              last fetch path tried: "http", "browser" or "file" (null if none)
+//   rows                records parsed this run (0 when the scrape failed)
+//   cloudflareChallenge a Cloudflare challenge page was served
+//   durationMs          time spent fetching and parsing the page
+//   error               why the scrape failed, or null
+//   lastSuccess         lastUpdated of the most recent run that scraped this asset
+
+function isCloudflareChallenge(html) {
+    return html.includes('challenge-platform') || html.includes('cf-browser-verification');
+}
+
+function createHealth() {
+    return {
+        status: 'failed',
+        method: null,
+        rows: 0,
+        cloudflareChallenge: false,
+        durationMs: 0,
+        error: null,
+        lastSuccess: null
+    };
+}
+
+// Previous published file, or null when it is missing, unreadable or from an
+// unknown schema version. A file from before schema version 2 is migrated
+// (see migrateV1Dataset); assets whose columns can't be mapped are left out.
+function loadPreviousOutput(filePath, assets) {
+    try {
+        const previous = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (previous.schemaVersion === SCHEMA_VERSION) return previous;
+        if (previous.schemaVersion !== undefined) return null;
+
+        const migrated = { lastUpdated: previous.lastUpdated };
+        for (const asset of assets) {
+            migrated[asset.id] = migrateV1Dataset(previous[asset.id], asset, new Date(previous.lastUpdated));
+            if (previous[asset.id] && !migrated[asset.id]) {
+                console.warn(`Could not migrate ${asset.id} from ${filePath}: its columns don't match config/assets.json`);
+            }
+        }
+        return migrated;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Could not read previous ${filePath}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+function previousLastSuccess(previous, id) {
+    if (!previous?.[id]) return null;
+    // Files written before the health section existed only had fresh data
+    return previous.health?.[id]?.lastSuccess ?? previous.lastUpdated ?? null;
+}
+
+// Fill failed assets from the previous file and finish each health entry
+function mergeWithPrevious(results, previous, assets, health, runAt) {
+    for (const { id } of assets) {
+        if (results[id]) {
+            health[id].status = 'ok';
+            health[id].lastSuccess = runAt;
+        } else if (previous?.[id]) {
+            results[id] = { issuers: previous[id].issuers, records: previous[id].records };
+            health[id].status = 'stale';
+            health[id].lastSuccess = previousLastSuccess(previous, id);
+            console.warn(`${id}: scrape failed, keeping ${results[id].records.length} records from the previous file`);
+        } else {
+            health[id].status = 'failed';
+        }
+    }
+}
+
+// Fresh datasets must not shrink or move backwards compared with the
+// previously published file. Call before mergeWithPrevious. Returns a list of
+// messages (empty when fine).
+function findRegressions(results, previous, assets) {
+    const regressions = [];
+    if (!previous) return regressions;
+
+    for (const { id } of assets) {
+        const before = previous[id]?.records;
+        const after = results[id]?.records;
+        // Failed scrapes are carried over by mergeWithPrevious instead
+        if (!before?.length || !after?.length) continue;
+
+        if (after.length < before.length) {
+            regressions.push(`${id}: ${after.length} records, fewer than the previous ${before.length}`);
+        }
+        if (after[0].date < before[0].date) {
+            regressions.push(`${id}: latest date ${after[0].date} is older than the previous ${before[0].date}`);
+        }
+    }
+
+    return regressions;
+}
+
+module.exports = {
+    isCloudflareChallenge,
+    createHealth,
+    loadPreviousOutput,
+    mergeWithPrevious,
+    findRegressions
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+// Durable ETF flow history.
+//
+// Layout under docs/data/etf-history/:
+//   <asset>/series.json            merged canonical series (every date ever seen)
+//   revisions.json                 append-only log of cells that changed between runs
+//
+// Farside occasionally revises earlier days in place, so the canonical series
+// keeps the newest value for each cell while the revision log keeps the old one.
+// Together they reproduce any earlier run, so the raw run (a copy of the whole
+// dataset) is only written on request, to a directory outside the repo:
+//   <snapshotDir>/<asset>/<run>.json   exactly what one scraper run returned
+
+const HISTORY_DIR = path.join(__dirname, '..', '..', 'docs', 'data', 'etf-history');
+
+function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+function writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+// "2026-07-22T08:39:21.751Z" -> "2026-07-22T08-39-21Z" (safe on every filesystem)
+function snapshotName(runAt) {
+    return runAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-') + '.json';
+}
+
+// Merge one scraped dataset into the canonical series for an asset.
+// Returns the merged series and the list of cells whose value changed.
+// The Total column is tracked like an issuer under the name "total".
+function mergeSeries(series, dataset, asset, detectedAt) {
+    const issuers = [...series.issuers];
+    dataset.issuers.forEach(issuer => {
+        if (!issuers.includes(issuer)) issuers.push(issuer);
+    });
+
+    const byDate = new Map(series.records.map(r => [r.date, { ...r, flows: { ...r.flows } }]));
+    const revisions = [];
+    let added = 0;
+
+    const revise = (date, column, oldValue, newValue) => {
+        // A cell appearing for the first time (new issuer column) is not a revision
+        if (oldValue !== undefined && oldValue !== newValue) {
+            revisions.push({ asset, date, column, oldValue, newValue, detectedAt });
+        }
+    };
+
+    for (const record of dataset.records) {
+        const existing = byDate.get(record.date);
+
+        if (!existing) {
+            byDate.set(record.date, { ...record, flows: { ...record.flows } });
+            added++;
+            continue;
+        }
+
+        for (const [issuer, newValue] of Object.entries(record.flows)) {
+            revise(record.date, issuer, existing.flows[issuer], newValue);
+            existing.flows[issuer] = newValue;
+        }
+        revise(record.date, 'total', existing.total, record.total);
+        existing.total = record.total;
+    }
+
+    // Newest first, matching the order of the scraped records; issuers that
+    // only appear in newer runs are null on older dates
+    const records = Array.from(byDate.values())
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .map(record => {
+            issuers.forEach(issuer => {
+                if (!(issuer in record.flows)) record.flows[issuer] = null;
+            });
+            return record;
+        });
+
+    return {
+        series: { asset, updatedAt: detectedAt, issuers, records },
+        revisions,
+        added
+    };
+}
+
+// Persist one run for an asset: merge it into the canonical series, append
+// any revisions to the shared log and, with snapshotDir, keep the raw run.
+function recordHistory(asset, dataset, runAt, { historyDir = HISTORY_DIR, snapshotDir = null } = {}) {
+    const seriesPath = path.join(historyDir, asset, 'series.json');
+    const revisionsPath = path.join(historyDir, 'revisions.json');
+
+    if (snapshotDir) {
+        writeJson(path.join(snapshotDir, asset, snapshotName(runAt)), {
+            asset,
+            scrapedAt: runAt,
+            issuers: dataset.issuers,
+            records: dataset.records
+        });
+    }
+
+    const previous = readJson(seriesPath, { asset, issuers: [], records: [] });
+    const { series, revisions, added } = mergeSeries(previous, dataset, asset, runAt);
+    writeJson(seriesPath, series);
+
+    if (revisions.length > 0) {
+        const log = readJson(revisionsPath, []);
+        log.push(...revisions);
+        writeJson(revisionsPath, log);
+    }
+
+    console.log(`History (${asset}): ${added} new rows, ${revisions.length} revised cells, ${series.records.length} rows total`);
+    revisions.forEach(r => {
+        console.log(`  Revised ${r.date} ${r.column}: ${r.oldValue} -> ${r.newValue}`);
+    });
+
+    return { added, revisions };
+}
+
+module.exports = {
+    HISTORY_DIR,
+    mergeSeries,
+    recordHistory
+};
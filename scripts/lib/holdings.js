@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFlow } = require('./schema');
+
+// Holdings dataset for docs/data/etf-holdings.json: coins held and AUM per
+// issuer over time, plus the fee rate and seed capital Farside lists above
+// the daily rows.
+//
+// Farside publishes flows, not holdings, so holdings are estimated: each
+// day's flow is converted to coins at that day's close (from the market join)
+// and accumulated, starting from the seed capital. Closes older than
+// CoinGecko's window are backfilled in the market join, so `since` is
+// normally each asset's launch. Two limits remain:
+//   - days without a close can't be converted. The series starts at the first
+//     day from which every later day is priced; an issuer that launched
+//     earlier is marked complete: false, and only its net change since then
+//     is known
+//   - converted trusts (legacyIssuers: GBTC, ETHE) held coins before their
+//     first Farside row. They start from the registry's openingCoins, the
+//     issuer's published holding before that row; without it only their net
+//     change since conversion is known
+// Holdings and AUM are only published where the estimate covers the whole
+// story: coins / aumUsd for complete issuers, totals when every issuer is
+// complete. They remain estimates (flows converted at daily closes), which
+// the dashboard labels as such.
+
+const HOLDINGS_PATH = path.join(__dirname, '..', '..', 'docs', 'data', 'etf-holdings.json');
+
+const HOLDINGS_SCHEMA_VERSION = 2;
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// "0.25%" -> 0.0025, "0.15%*" -> 0.0015; null when there is no percentage
+function parseFeeRate(text) {
+    const match = String(text ?? '').match(/(\d+(?:\.\d+)?)\s*%/);
+    return match ? round(parseFloat(match[1]) / 100, 6) : null;
+}
+
+// Per-issuer terms from the parser's metadata rows. Seed capital is in USD
+// millions like the flows.
+function issuerTerms(meta = {}, issuers) {
+    const terms = {};
+    issuers.forEach(issuer => {
+        const seed = parseFlow(meta.seed?.[issuer]);
+        terms[issuer] = {
+            feeRate: parseFeeRate(meta.fee?.[issuer]),
+            seedUsd: typeof seed === 'number' ? seed : null
+        };
+    });
+    return terms;
+}
+
+// Walk one asset's records oldest first, accumulating coins per issuer.
+// closes: Map date -> close (USD). openingCoins: legacy issuer -> coins held
+// before its first flow.
+function estimateHoldings(dataset, closes, terms, legacyIssuers = [], openingCoins = {}) {
+    const chronological = [...dataset.records].reverse();
+
+    // First day of the unbroken run of priced days that reaches today
+    let start = chronological.length;
+    while (start > 0 && closes.get(chronological[start - 1].date)) {
+        start--;
+    }
+    const since = chronological[start]?.date ?? null;
+
+    const coins = {};
+    const firstFlowDate = {};
+    dataset.issuers.forEach(issuer => {
+        coins[issuer] = null;
+        firstFlowDate[issuer] = chronological.find(r => r.flows[issuer] !== null)?.date ?? null;
+    });
+
+    const records = chronological.slice(start).map(record => {
+        const close = closes.get(record.date);
+        const dayCoins = {};
+        let totalNetCoins = 0;
+
+        dataset.issuers.forEach(issuer => {
+            const flow = record.flows[issuer];
+            if (coins[issuer] === null && flow !== null) {
+                // Seed capital is only known to have been bought at launch,
+                // opening holdings only to have been held before it
+                const launch = record.date === firstFlowDate[issuer];
+                const seedUsd = launch ? terms[issuer]?.seedUsd ?? 0 : 0;
+                coins[issuer] = launch && openingCoins[issuer] != null
+                    ? openingCoins[issuer]
+                    : (seedUsd * 1e6) / close;
+            }
+            if (coins[issuer] !== null && flow !== null) {
+                coins[issuer] += (flow * 1e6) / close;
+            }
+            dayCoins[issuer] = coins[issuer] === null ? null : round(coins[issuer], 2);
+            totalNetCoins += coins[issuer] ?? 0;
+        });
+
+        return {
+            date: record.date,
+            close: round(close, 2),
+            netCoins: dayCoins,
+            totalNetCoins: round(totalNetCoins, 2)
+        };
+    }).reverse();
+
+    const latest = records[0];
+    const issuers = {};
+    dataset.issuers.forEach(issuer => {
+        const netCoins = latest?.netCoins[issuer] ?? null;
+        const complete = firstFlowDate[issuer] !== null && since !== null && firstFlowDate[issuer] >= since;
+        const legacy = legacyIssuers.includes(issuer);
+        const opening = legacy ? openingCoins[issuer] ?? null : null;
+        // Net change since `since` is the holding only when nothing came
+        // before, or what came before is known
+        const held = complete && (!legacy || opening !== null) ? netCoins : null;
+        issuers[issuer] = {
+            feeRate: terms[issuer]?.feeRate ?? null,
+            seedUsd: terms[issuer]?.seedUsd ?? null,
+            firstFlowDate: firstFlowDate[issuer],
+            openingCoins: opening,
+            netCoins,
+            coins: held,
+            aumUsd: held === null ? null : Math.round(held * latest.close),
+            complete,
+            legacy
+        };
+    });
+
+    // Issuers that never had a flow hold nothing and don't count against this
+    const complete = latest !== undefined && Object.values(issuers)
+        .every(info => info.firstFlowDate === null || info.coins !== null);
+
+    return {
+        since,
+        asOf: latest?.date ?? null,
+        complete,
+        totalNetCoins: latest?.totalNetCoins ?? null,
+        totalCoins: complete ? latest.totalNetCoins : null,
+        totalAumUsd: complete ? Math.round(latest.totalNetCoins * latest.close) : null,
+        issuers,
+        records
+    };
+}
+
+function loadPreviousHoldings(filePath = HOLDINGS_PATH) {
+    try {
+        const previous = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return previous.schemaVersion === HOLDINGS_SCHEMA_VERSION ? previous : null;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Could not read previous ${filePath}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+// terms: asset id -> issuerTerms() from this run; an asset carried over from
+// the previous run reuses the fee / seed values of the previous file
+function buildHoldings(results, terms, market, assets, runAt, previous = loadPreviousHoldings()) {
+    const output = {
+        schemaVersion: HOLDINGS_SCHEMA_VERSION,
+        lastUpdated: runAt,
+        assets: {}
+    };
+
+    for (const asset of assets) {
+        const dataset = results[asset.id];
+        if (!dataset?.records?.length) continue;
+
+        const closes = new Map(
+            (market.assets[asset.id]?.records || [])
+                .filter(r => r.close !== null)
+                .map(r => [r.date, r.close])
+        );
+
+        const assetTerms = terms[asset.id] || Object.fromEntries(
+            Object.entries(previous?.assets?.[asset.id]?.issuers || {})
+                .map(([issuer, info]) => [issuer, { feeRate: info.feeRate, seedUsd: info.seedUsd }])
+        );
+
+        const holdings = estimateHoldings(dataset, closes, assetTerms, asset.legacyIssuers, asset.openingCoins);
+        output.assets[asset.id] = { symbol: asset.symbol, ...holdings };
+
+        if (holdings.since === null) {
+            console.log(`${asset.id}: no prices for the latest day, holdings not estimated`);
+        } else if (holdings.complete) {
+            console.log(`${asset.id}: ${holdings.totalCoins} ${asset.symbol} held (priced since ${holdings.since})`);
+        } else {
+            console.log(`${asset.id}: ${holdings.totalNetCoins} ${asset.symbol} net since ${holdings.since}, holdings unknown (unpriced days or legacy issuers without openingCoins)`);
+        }
+    }
+
+    return output;
+}
+
+module.exports = {
+    HOLDINGS_PATH,
+    HOLDINGS_SCHEMA_VERSION,
+    parseFeeRate,
+    issuerTerms,
+    estimateHoldings,
+    buildHoldings
+};
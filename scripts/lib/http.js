@@ -0,0 +1,53 @@
+// Plain HTTP fetching for Farside pages, plus the retry helper shared with the
+// browser fallback. Uses Node's built-in fetch (Node 18+).
+
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9'
+};
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+// GET a page. Resolves with { ok, status, html } for any HTTP status so the
+// caller can look at the body (Cloudflare serves its challenge as a 403/503);
+// rejects only on network errors and timeouts.
+async function fetchPage(url, { timeoutMs = 30000 } = {}) {
+    const response = await fetch(url, {
+        headers: BROWSER_HEADERS,
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    return {
+        ok: response.ok,
+        status: response.status,
+        html: await response.text()
+    };
+}
+
+// Run fn until it resolves, waiting baseDelayMs, 2x, 4x ... between attempts.
+// Rethrows the last error once every attempt has failed.
+async function withRetry(fn, { attempts = 3, baseDelayMs = 2000, label = 'request' } = {}) {
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            lastError = error;
+            if (attempt < attempts) {
+                const delay = baseDelayMs * 2 ** (attempt - 1);
+                console.log(`  ${label} attempt ${attempt}/${attempts} failed (${error.message}), retrying in ${delay / 1000}s`);
+                await sleep(delay);
+            }
+        }
+    }
+    throw lastError;
+}
+
+module.exports = {
+    sleep,
+    fetchPage,
+    withRetry
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchPage, withRetry, sleep } = require('./http');
+
+// Daily market join for docs/data/etf-market.json: each trading day's net ETF
+// flow next to the coin's close, market cap, flow as % of market cap and flow
+// in coin units, so the dashboard never has to call CoinGecko itself.
+//
+// CoinGecko's public API only reaches back 365 days. Closes for older days
+// come from Coinbase Exchange daily candles (close only, no market cap), so
+// the holdings estimate can be priced back to each fund's launch.
+//
+// CoinGecko daily points are stamped 00:00 UTC and hold the value at that
+// instant, i.e. the close of the previous UTC day. A point is therefore keyed
+// to the day it closes; the latest intraday point stands in for today's close
+// until the next midnight point replaces it. US ETF flows settle at the 4pm ET
+// close, so this is the nearest daily value CoinGecko offers.
+
+const MARKET_PATH = path.join(__dirname, '..', '..', 'docs', 'data', 'etf-market.json');
+
+const MARKET_SCHEMA_VERSION = 1;
+
+// The public CoinGecko API only serves the last 365 days; older days are kept
+// from the previous file so the join grows with every run
+const COINGECKO_DAYS = 365;
+
+// Free tier allows roughly 10-30 requests a minute
+const COINGECKO_DELAY_MS = 4000;
+
+// Coinbase Exchange returns at most 300 candles per request
+const COINBASE_CANDLES_URL = 'https://api.exchange.coinbase.com/products';
+const COINBASE_MAX_DAYS = 300;
+const COINBASE_DELAY_MS = 500;
+
+const DAY_MS = 86400000;
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// UTC date whose close a CoinGecko timestamp represents
+function closeDate(timestamp) {
+    return new Date(timestamp - 1).toISOString().slice(0, 10);
+}
+
+async function fetchMarketChart(coingeckoId) {
+    const url = `https://api.coingecko.com/api/v3/coins/${coingeckoId}/market_chart?vs_currency=usd&days=${COINGECKO_DAYS}&interval=daily`;
+
+    const data = await withRetry(async () => {
+        const response = await fetchPage(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return JSON.parse(response.html);
+    }, { attempts: 3, baseDelayMs: 5000, label: `CoinGecko ${coingeckoId}` });
+
+    // date -> { close, marketCap }; later points win
+    const byDate = new Map();
+    (data.prices || []).forEach(([timestamp, price]) => {
+        byDate.set(closeDate(timestamp), { close: price, marketCap: null });
+    });
+    (data.market_caps || []).forEach(([timestamp, marketCap]) => {
+        const entry = byDate.get(closeDate(timestamp));
+        if (entry) entry.marketCap = marketCap;
+    });
+    return byDate;
+}
+
+// date -> close (USD) from Coinbase Exchange daily candles between two
+// YYYY-MM-DD dates, inclusive. A candle opens at 00:00 UTC and closes at the
+// end of that UTC day, the same day closeDate() keys a CoinGecko point to.
+async function fetchCoinbaseCloses(product, startDate, endDate) {
+    const closes = new Map();
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+
+    for (let from = Date.parse(`${startDate}T00:00:00Z`); from <= end; from += COINBASE_MAX_DAYS * DAY_MS) {
+        if (closes.size > 0) {
+            await sleep(COINBASE_DELAY_MS);
+        }
+        const to = Math.min(end, from + (COINBASE_MAX_DAYS - 1) * DAY_MS);
+        const url = `${COINBASE_CANDLES_URL}/${product}/candles?granularity=86400` +
+            `&start=${new Date(from).toISOString()}&end=${new Date(to).toISOString()}`;
+
+        const candles = await withRetry(async () => {
+            const response = await fetchPage(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return JSON.parse(response.html);
+        }, { attempts: 3, baseDelayMs: 5000, label: `Coinbase ${product}` });
+
+        // [time, low, high, open, close, volume], newest first
+        candles.forEach(([time, , , , close]) => {
+            closes.set(new Date(time * 1000).toISOString().slice(0, 10), close);
+        });
+    }
+    return closes;
+}
+
+function joinRecord(date, flow, market) {
+    const close = market?.close ?? null;
+    const marketCap = market?.marketCap ?? null;
+    return {
+        date,
+        flow,
+        close: close === null ? null : round(close, 2),
+        marketCap: marketCap === null ? null : Math.round(marketCap),
+        // Percent, e.g. 0.0152 = 0.0152% of market cap
+        flowPctMcap: flow === null || !marketCap ? null : round((flow * 1e6) / marketCap * 100, 6),
+        flowCoins: flow === null || !close ? null : round((flow * 1e6) / close, 2)
+    };
+}
+
+// Join one asset's flows with fresh CoinGecko data, falling back to the
+// previous file's close / market cap for days CoinGecko no longer returns,
+// then to backfilled closes (date -> close) for days neither has
+function joinAsset(dataset, marketByDate, previousRecords = [], backfill = new Map()) {
+    const previousByDate = new Map(previousRecords.map(r => [r.date, r]));
+
+    return dataset.records.map(record => {
+        const fresh = marketByDate.get(record.date);
+        const previous = previousByDate.get(record.date);
+        const close = backfill.get(record.date);
+        const market = fresh || (previous?.close != null ? previous : null) ||
+            (close !== undefined ? { close, marketCap: null } : null);
+        return joinRecord(record.date, record.total, market);
+    });
+}
+
+function loadPreviousMarket(filePath = MARKET_PATH) {
+    try {
+        const previous = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return previous.schemaVersion === MARKET_SCHEMA_VERSION ? previous : null;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Could not read previous ${filePath}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+// Build the market join for every asset with data. An asset whose CoinGecko
+// request fails keeps the close / market cap values of the previous file;
+// days still without a close are backfilled from Coinbase Exchange.
+async function buildMarketJoin(results, assets, runAt, previous = loadPreviousMarket()) {
+    const output = {
+        schemaVersion: MARKET_SCHEMA_VERSION,
+        lastUpdated: runAt,
+        source: 'CoinGecko',
+        closeBackfillSource: 'Coinbase Exchange',
+        assets: {}
+    };
+
+    for (const [index, asset] of assets.entries()) {
+        const dataset = results[asset.id];
+        if (!dataset?.records?.length) continue;
+
+        if (index > 0) {
+            await sleep(COINGECKO_DELAY_MS);
+        }
+
+        let marketByDate = new Map();
+        let error = null;
+        try {
+            marketByDate = await fetchMarketChart(asset.coingeckoId);
+            console.log(`${asset.id}: ${marketByDate.size} daily prices from CoinGecko`);
+        } catch (err) {
+            error = err.message;
+            console.warn(`${asset.id}: CoinGecko request failed (${error}), reusing previous market data`);
+        }
+
+        const previousRecords = previous?.assets?.[asset.id]?.records;
+        let records = joinAsset(dataset, marketByDate, previousRecords);
+
+        // Days older than CoinGecko's window that no earlier run priced.
+        // Records are newest first.
+        const unpriced = records.filter(r => r.close === null).map(r => r.date);
+        let backfillError = null;
+        if (unpriced.length > 0 && asset.coinbaseProduct) {
+            try {
+                const backfill = await fetchCoinbaseCloses(asset.coinbaseProduct, unpriced[unpriced.length - 1], unpriced[0]);
+                records = joinAsset(dataset, marketByDate, previousRecords, backfill);
+                const filled = unpriced.length - records.filter(r => r.close === null).length;
+                console.log(`${asset.id}: ${filled} older closes from Coinbase ${asset.coinbaseProduct}`);
+            } catch (err) {
+                backfillError = err.message;
+                console.warn(`${asset.id}: Coinbase request failed (${backfillError}), ${unpriced.length} days stay unpriced`);
+            }
+        }
+
+        const missing = records.filter(r => r.marketCap === null).length;
+        if (missing > 0) {
+            console.log(`${asset.id}: no market cap for ${missing} of ${records.length} days`);
+        }
+
+        output.assets[asset.id] = {
+            symbol: asset.symbol,
+            coingeckoId: asset.coingeckoId,
+            coinbaseProduct: asset.coinbaseProduct || null,
+            error,
+            backfillError,
+            records
+        };
+    }
+
+    return output;
+}
+
+module.exports = {
+    MARKET_PATH,
+    MARKET_SCHEMA_VERSION,
+    closeDate,
+    joinAsset,
+    buildMarketJoin
+};
@@ -0,0 +1,314 @@
+// Typed schema for docs/data/etf-flows.json (documented in scripts/README.md).
+//
+// Farside cells arrive as display strings ("1,205.2", "(95.1)", "-", ""), and
+// dates as "21 Jul 2026" or sometimes just "23 Jul". Everything is converted
+// here so downstream consumers never have to re-parse the table.
+
+const SCHEMA_VERSION = 2;
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const HEALTH_STATUSES = ['ok', 'stale', 'failed'];
+
+// Largest gap tolerated between the issuer sum and Farside's Total column.
+// Farside rounds every cell to 0.1, so a dozen issuers can drift by ~0.6.
+const TOTAL_TOLERANCE = 1.0;
+
+// Parse a flow cell into USD millions. Returns null for missing / pre-launch
+// cells and the original text when the cell is not a number at all, so that
+// validation can report exactly what drifted.
+function parseFlow(text) {
+    if (text === undefined || text === null) return null;
+
+    let value = String(text).replace(/[$,\s]/g, '');
+    if (value === '' || /^[-–—]$/.test(value)) return null;
+
+    let sign = 1;
+    if (value.startsWith('(') && value.endsWith(')')) {
+        sign = -1;
+        value = value.slice(1, -1);
+    }
+
+    if (!/^-?\d+(\.\d+)?$/.test(value)) return String(text);
+    return sign * parseFloat(value);
+}
+
+// "21 Jul 2026" -> { day: 21, month: 7, year: 2026 }, "23 Jul" -> year null
+function parseFarsideDate(text) {
+    const match = String(text).trim().match(/^(\d{1,2})\s*([a-z]{3})[a-z]*\.?\s*(\d{4})?$/i);
+    if (!match) return null;
+
+    const month = MONTHS[match[2].toLowerCase()];
+    if (!month) return null;
+
+    return {
+        day: parseInt(match[1], 10),
+        month,
+        year: match[3] ? parseInt(match[3], 10) : null
+    };
+}
+
+// Fill in missing years on chronologically ordered dates. A yearless row takes
+// the year of the row before it, rolling over when the month goes backwards
+// (Dec -> Jan). Leading yearless rows are resolved backwards from the first
+// dated row, or from the reference date when no row carries a year.
+function inferYears(dates, referenceDate) {
+    const firstKnown = dates.findIndex(d => d.year !== null);
+
+    if (firstKnown === -1) {
+        // Assume the newest row is not in the future
+        let year = referenceDate.getUTCFullYear();
+        const last = dates[dates.length - 1];
+        if (last && last.month > referenceDate.getUTCMonth() + 1) year--;
+        for (let i = dates.length - 1; i >= 0; i--) {
+            if (i < dates.length - 1 && dates[i].month > dates[i + 1].month) year--;
+            dates[i].year = year;
+        }
+        return dates;
+    }
+
+    for (let i = firstKnown - 1; i >= 0; i--) {
+        const next = dates[i + 1];
+        dates[i].year = dates[i].month > next.month ? next.year - 1 : next.year;
+    }
+    for (let i = firstKnown + 1; i < dates.length; i++) {
+        if (dates[i].year !== null) continue;
+        const prev = dates[i - 1];
+        dates[i].year = dates[i].month < prev.month ? prev.year + 1 : prev.year;
+    }
+    return dates;
+}
+
+function toIsoDate({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function findTotalHeader(headers) {
+    return headers.find(h =>
+        h.toLowerCase().includes('total') ||
+        h.toLowerCase() === 'net'
+    ) || headers[headers.length - 1]; // Fallback to last column
+}
+
+// Convert a raw scrape ({ headers, records } of strings, newest first) into
+// the typed { issuers, records } shape.
+function normalizeDataset(raw, referenceDate = new Date()) {
+    const dateHeader = raw.headers[0];
+    const totalHeader = findTotalHeader(raw.headers);
+    const issuers = raw.headers.filter(h => h !== dateHeader && h !== totalHeader);
+
+    // Year inference needs oldest-first order
+    const chronological = [...raw.records].reverse();
+    const dates = inferYears(
+        chronological.map(r => parseFarsideDate(r[dateHeader]) || { day: NaN, month: NaN, year: NaN }),
+        referenceDate
+    );
+
+    const records = chronological.map((record, i) => {
+        const flows = {};
+        issuers.forEach(issuer => {
+            flows[issuer] = parseFlow(record[issuer]);
+        });
+        return {
+            date: Number.isNaN(dates[i].day) ? String(record[dateHeader]) : toIsoDate(dates[i]),
+            flows,
+            total: parseFlow(record[totalHeader])
+        };
+    });
+
+    return { issuers, records: records.reverse() };
+}
+
+// Files written before schema version 2 keep, per asset, Farside's display
+// strings as { headers, records } keyed by header text. Their headers are
+// whatever the page showed: tickers (bitcoin), issuer names with repeats
+// ("Blackrock", "Blackrock" on ethereum) or generated ETF_1..ETF_n (solana).
+// Columns are mapped to the registry tickers, which are listed in Farside
+// column order. A repeated header kept only its last column's value, so the
+// earlier columns of that name are unknown (null). Returns the typed dataset,
+// or null when the columns can't be mapped.
+function migrateV1Dataset(legacy, asset, referenceDate) {
+    if (!legacy || !Array.isArray(legacy.headers) || !Array.isArray(legacy.records)) return null;
+
+    const dateHeader = legacy.headers[0];
+    const totalHeader = findTotalHeader(legacy.headers);
+    const columns = legacy.headers.filter(h => h !== dateHeader && h !== totalHeader);
+
+    let tickers;
+    if (columns.every(header => asset.issuers.includes(header)) && new Set(columns).size === columns.length) {
+        tickers = columns;
+    } else if (columns.length === asset.issuers.length) {
+        tickers = asset.issuers;
+    } else {
+        return null;
+    }
+
+    // ticker -> header it was stored under, for the last column of each header
+    const sources = {};
+    columns.forEach((header, i) => {
+        if (columns.lastIndexOf(header) === i) sources[tickers[i]] = header;
+    });
+
+    return normalizeDataset({
+        headers: [dateHeader, ...tickers, totalHeader],
+        records: legacy.records.map(record => {
+            const row = { [dateHeader]: record[dateHeader], [totalHeader]: record[totalHeader] };
+            tickers.forEach(ticker => {
+                row[ticker] = ticker in sources ? record[sources[ticker]] : null;
+            });
+            return row;
+        })
+    }, referenceDate);
+}
+
+function isFlowValue(value) {
+    return value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function isValidIsoDate(value) {
+    if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Check one asset dataset. Structural problems are errors (the file must not
+// be published); arithmetic mismatches against Farside's Total are warnings.
+function validateDataset(dataset, label) {
+    const errors = [];
+    const warnings = [];
+
+    if (!dataset || typeof dataset !== 'object') {
+        return { errors: [`${label}: expected an object`], warnings };
+    }
+
+    const { issuers, records } = dataset;
+    if (!Array.isArray(issuers) || issuers.length === 0) {
+        errors.push(`${label}.issuers: expected a non-empty array`);
+        return { errors, warnings };
+    }
+    if (new Set(issuers).size !== issuers.length) {
+        errors.push(`${label}.issuers: duplicate issuer names (${issuers.join(', ')})`);
+    }
+    issuers.forEach(issuer => {
+        if (typeof issuer !== 'string' || !issuer.trim()) {
+            errors.push(`${label}.issuers: invalid issuer name ${JSON.stringify(issuer)}`);
+        }
+    });
+
+    if (!Array.isArray(records) || records.length === 0) {
+        errors.push(`${label}.records: expected a non-empty array`);
+        return { errors, warnings };
+    }
+
+    let previousDate = null;
+    records.forEach((record, i) => {
+        const at = `${label}.records[${i}]`;
+
+        if (!isValidIsoDate(record.date)) {
+            errors.push(`${at}.date: expected YYYY-MM-DD, got ${JSON.stringify(record.date)}`);
+        } else if (previousDate !== null && record.date >= previousDate) {
+            errors.push(`${at}.date: ${record.date} is not older than ${previousDate} (records must be newest first, no duplicates)`);
+        }
+        previousDate = record.date;
+
+        const flows = record.flows || {};
+        const keys = Object.keys(flows);
+        if (keys.length !== issuers.length || !issuers.every(issuer => issuer in flows)) {
+            errors.push(`${at}.flows: keys [${keys.join(', ')}] do not match issuers`);
+        }
+
+        let sum = 0;
+        let hasFlow = false;
+        for (const issuer of issuers) {
+            const value = flows[issuer];
+            if (!isFlowValue(value)) {
+                errors.push(`${at}.flows.${issuer}: expected number or null, got ${JSON.stringify(value)}`);
+            } else if (value !== null) {
+                sum += value;
+                hasFlow = true;
+            }
+        }
+
+        if (!isFlowValue(record.total)) {
+            errors.push(`${at}.total: expected number or null, got ${JSON.stringify(record.total)}`);
+        } else if (record.total !== null && hasFlow && Math.abs(sum - record.total) > TOTAL_TOLERANCE) {
+            warnings.push(`${at} (${record.date}): issuer flows sum to ${sum.toFixed(1)} but total is ${record.total}`);
+        }
+    });
+
+    return { errors, warnings };
+}
+
+// Compare a dataset against its registry entry. Drift here is worth a look
+// but not worth blocking the publish, so everything is a warning.
+function checkAgainstRegistry(dataset, asset) {
+    const warnings = [];
+
+    const unexpected = dataset.issuers.filter(issuer => !asset.issuers.includes(issuer));
+    if (unexpected.length > 0) {
+        warnings.push(`${asset.id}: columns not in config/assets.json: ${unexpected.join(', ')}`);
+    }
+    const missing = asset.issuers.filter(issuer => !dataset.issuers.includes(issuer));
+    if (missing.length > 0) {
+        warnings.push(`${asset.id}: expected issuers missing from Farside: ${missing.join(', ')}`);
+    }
+
+    const preLaunch = dataset.records.filter(r => r.date < asset.launchDate);
+    if (preLaunch.length > 0) {
+        warnings.push(`${asset.id}: ${preLaunch.length} records before launch date ${asset.launchDate} (oldest ${preLaunch[preLaunch.length - 1].date})`);
+    }
+
+    return warnings;
+}
+
+// Validate the whole output file against the asset registry; a null asset
+// means its scrape failed and nothing could be carried over.
+function validateOutput(output, assets) {
+    const errors = [];
+    const warnings = [];
+
+    if (output.schemaVersion !== SCHEMA_VERSION) {
+        errors.push(`schemaVersion: expected ${SCHEMA_VERSION}, got ${JSON.stringify(output.schemaVersion)}`);
+    }
+    if (typeof output.lastUpdated !== 'string' || Number.isNaN(Date.parse(output.lastUpdated))) {
+        errors.push('lastUpdated: expected an ISO-8601 timestamp');
+    }
+
+    const listed = Array.isArray(output.assets) ? output.assets.map(a => a.id) : null;
+    if (!listed || listed.join() !== assets.map(a => a.id).join()) {
+        errors.push(`assets: expected [${assets.map(a => a.id).join(', ')}], got ${JSON.stringify(listed)}`);
+    }
+
+    for (const asset of assets) {
+        const status = output.health?.[asset.id]?.status;
+        if (!HEALTH_STATUSES.includes(status)) {
+            errors.push(`health.${asset.id}.status: expected one of ${HEALTH_STATUSES.join(', ')}, got ${JSON.stringify(status)}`);
+        }
+
+        if (output[asset.id] === null) continue;
+        const result = validateDataset(output[asset.id], asset.id);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+        if (result.errors.length === 0) {
+            warnings.push(...checkAgainstRegistry(output[asset.id], asset));
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    parseFlow,
+    parseFarsideDate,
+    inferYears,
+    normalizeDataset,
+    migrateV1Dataset,
+    validateDataset,
+    validateOutput
+};
@@ -2,183 +2,198 @@ const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { recordHistory } = require('./lib/history');
+const { SCHEMA_VERSION, normalizeDataset, validateOutput } = require('./lib/schema');
+const { parseFarsideHtml } = require('./lib/farside-parser');
+const { checkFixtures, updateFixtures, FIXTURES_DIR } = require('./lib/fixtures');
+const { loadAssets, describeAsset } = require('./lib/assets');
+const { computeAnalytics } = require('./lib/analytics');
+const { buildRollups } = require('./lib/calendar');
+const { sleep, fetchPage, withRetry } = require('./lib/http');
+const { MARKET_PATH, buildMarketJoin } = require('./lib/market');
+const { HOLDINGS_PATH, issuerTerms, buildHoldings } = require('./lib/holdings');
+const {
+    isCloudflareChallenge,
+    createHealth,
+    loadPreviousOutput,
+    mergeWithPrevious,
+    findRegressions
+} = require('./lib/health');
 
 // Use stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
 
-const FARSIDE_URLS = {
-    bitcoin: 'https://farside.co.uk/bitcoin-etf-flow-all-data/',
-    ethereum: 'https://farside.co.uk/ethereum-etf-flow-all-data/',
-    solana: 'https://farside.co.uk/sol/'
-};
+// Every asset comes from config/assets.json
+const ASSETS = loadAssets();
 
-async function scrapeETFData(page, url, type) {
-    console.log(`\n========== Scraping ${type} ETF data ==========`);
-    console.log(`URL: ${url}`);
-
-    try {
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-
-        // Wait for page to fully render
-        await new Promise(r => setTimeout(r, 5000));
-
-        // Debug: log page title
-        const title = await page.title();
-        console.log(`Page title: ${title}`);
-
-        // Check if we hit a Cloudflare challenge
-        const content = await page.content();
-        if (content.includes('challenge-platform') || content.includes('cf-browser-verification')) {
-            console.log('Cloudflare challenge detected, waiting longer...');
-            await new Promise(r => setTimeout(r, 15000));
-        }
-
-        // Extract data from the table with extensive debugging
-        const data = await page.evaluate((etfType) => {
-            const debugInfo = [];
+const OUTPUT_PATH = path.join(__dirname, '..', 'docs', 'data', 'etf-flows.json');
 
-            const tables = document.querySelectorAll('table');
-            debugInfo.push(`Found ${tables.length} tables on page`);
-
-            if (tables.length === 0) {
-                return { error: 'No tables found', debugInfo };
-            }
-
-            // Find the largest table
-            let bestTable = null;
-            let maxRows = 0;
-            tables.forEach((table, idx) => {
-                const rows = table.querySelectorAll('tr');
-                debugInfo.push(`Table ${idx}: ${rows.length} rows`);
-                if (rows.length > maxRows) {
-                    maxRows = rows.length;
-                    bestTable = table;
-                }
-            });
+// Pause between assets so Farside isn't hit in a burst
+const REQUEST_DELAY_MS = 1000;
 
-            if (!bestTable) {
-                return { error: 'No suitable table found', debugInfo };
-            }
+// Parse one page (and keep a copy when --save-html is set). Returns the raw
+// table, or null with health.error set.
+function parsePage(html, asset, health, saveHtmlDir) {
+    if (saveHtmlDir) {
+        const savedPath = path.join(saveHtmlDir, `${asset.id}.html`);
+        fs.mkdirSync(saveHtmlDir, { recursive: true });
+        fs.writeFileSync(savedPath, html);
+        console.log(`Saved page HTML to ${savedPath}`);
+    }
 
-            const rows = bestTable.querySelectorAll('tr');
-            debugInfo.push(`Using table with ${rows.length} rows`);
-
-            // Log first 3 rows' HTML structure for debugging
-            for (let i = 0; i < Math.min(3, rows.length); i++) {
-                const row = rows[i];
-                const ths = row.querySelectorAll('th').length;
-                const tds = row.querySelectorAll('td').length;
-                const cells = row.querySelectorAll('th, td');
-                const cellTexts = Array.from(cells).slice(0, 5).map(c => c.textContent.trim().substring(0, 20));
-                debugInfo.push(`Row ${i}: ${ths} th, ${tds} td, content: [${cellTexts.join(' | ')}]`);
-            }
+    const data = parseFarsideHtml(html, { expectedIssuers: asset.issuers });
 
-            // Determine header row - look for row with th elements or first row
-            let headerRowIndex = 0;
-            for (let i = 0; i < Math.min(5, rows.length); i++) {
-                const ths = rows[i].querySelectorAll('th').length;
-                if (ths > 2) { // Row with multiple th elements is likely headers
-                    headerRowIndex = i;
-                    break;
-                }
-            }
-            debugInfo.push(`Header row index: ${headerRowIndex}`);
-
-            // Extract headers
-            const headers = [];
-            const headerCells = rows[headerRowIndex]?.querySelectorAll('th, td');
-            headerCells?.forEach((cell, idx) => {
-                let text = cell.textContent.trim();
-                // If empty, generate a name
-                if (!text) {
-                    text = idx === 0 ? 'Date' : `ETF_${idx}`;
-                }
-                headers.push(text);
-            });
-            debugInfo.push(`Headers (${headers.length}): ${headers.slice(0, 6).join(', ')}`);
-
-            // Extract data rows
-            const records = [];
-            for (let i = headerRowIndex + 1; i < rows.length; i++) {
-                const row = rows[i];
-                const cells = row.querySelectorAll('th, td');
+    // Log debug info
+    if (data.debugInfo) {
+        data.debugInfo.forEach(msg => console.log(`  ${msg}`));
+    }
 
-                if (cells.length === 0) continue;
+    if (data.error) {
+        console.log(`Error: ${data.error}`);
+        health.error = isCloudflareChallenge(html) ? `Cloudflare challenge not resolved (${data.error})` : data.error;
+        return null;
+    }
 
-                const record = {};
-                let hasNumericData = false;
+    console.log(`Result: ${data.records?.length || 0} records with ${data.headers?.length || 0} columns`);
+    health.error = null;
+    health.rows = data.records.length;
+    return { headers: data.headers, records: data.records, meta: data.meta };
+}
 
-                cells.forEach((cell, index) => {
-                    const header = headers[index] || `col_${index}`;
-                    let value = cell.textContent.trim();
+// Fast path: plain GET. Returns the HTML, or null when the page has to go
+// through the browser (Cloudflare challenge or repeated HTTP errors).
+async function fetchWithHttp(asset, health) {
+    try {
+        const html = await withRetry(async () => {
+            const response = await fetchPage(asset.url);
+            // A challenge won't go away on retry, only a real browser solves it
+            if (isCloudflareChallenge(response.html)) return response.html;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.html;
+        }, { attempts: 3, baseDelayMs: 2000, label: 'HTTP' });
+
+        if (isCloudflareChallenge(html)) {
+            health.cloudflareChallenge = true;
+            console.log('Cloudflare challenge served over HTTP');
+            return null;
+        }
+        return html;
+    } catch (error) {
+        console.log(`HTTP fetch failed: ${error.message}`);
+        return null;
+    }
+}
 
-                    // Clean up negative numbers in parentheses
-                    if (value.startsWith('(') && value.endsWith(')')) {
-                        value = '-' + value.slice(1, -1);
-                    }
+// Slow path: render the page in headless Chromium
+async function fetchWithBrowser(page, asset, health) {
+    await page.goto(asset.url, { waitUntil: 'networkidle2', timeout: 60000 });
 
-                    // Check if we have numeric data (ETF flows are numbers)
-                    if (index > 0 && /^-?[\d,.]+$/.test(value.replace(/\s/g, ''))) {
-                        hasNumericData = true;
-                    }
+    // Wait for page to fully render
+    await sleep(5000);
 
-                    record[header] = value;
-                });
+    // Debug: log page title
+    const title = await page.title();
+    console.log(`Page title: ${title}`);
 
-                // Include row only if first column looks like an actual date
-                const firstCol = record[headers[0]] || '';
+    // Check if we hit a Cloudflare challenge
+    const content = await page.content();
+    if (isCloudflareChallenge(content)) {
+        health.cloudflareChallenge = true;
+        console.log('Cloudflare challenge detected, waiting longer...');
+        await sleep(15000);
+    }
 
-                // Must have a number AND a month name (like "11 Jan 2024" or "23 Jul")
-                const dateWithMonth = /\d{1,2}\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i;
-                const isActualDate = dateWithMonth.test(firstCol);
+    // Re-read the page in case the challenge resolved while we waited
+    return page.content();
+}
 
-                // Skip rows that are clearly not dates
-                const skipWords = /^(seed|fee|total|date|nav|aum|\s*$)/i;
-                const shouldSkip = skipWords.test(firstCol.trim());
+// Try plain HTTP first and only fall back to the browser when the page is a
+// challenge or the table can't be parsed. getPage launches the browser on
+// first use. Fills in `health` (see lib/health.js) as it goes.
+async function scrapeETFData(asset, health, getPage, { saveHtmlDir = null, browserOnly = false } = {}) {
+    const { url, name: type } = asset;
+    console.log(`\n========== Scraping ${type} ETF data ==========`);
+    console.log(`URL: ${url}`);
 
-                if (isActualDate && !shouldSkip) {
-                    records.push(record);
+    const startedAt = Date.now();
+    try {
+        if (!browserOnly) {
+            const html = await fetchWithHttp(asset, health);
+            if (html !== null) {
+                const data = parsePage(html, asset, health, saveHtmlDir);
+                if (data) {
+                    health.method = 'http';
+                    return data;
                 }
             }
-
-            // Reverse to get newest first (Farside shows oldest first)
-            records.reverse();
-
-            debugInfo.push(`Parsed ${records.length} records (reversed to newest-first)`);
-
-            // Log a sample record
-            if (records.length > 0) {
-                const sample = records[0];
-                const sampleStr = Object.entries(sample).slice(0, 4).map(([k,v]) => `${k}:${v}`).join(', ');
-                debugInfo.push(`Sample record: ${sampleStr}`);
-            }
-
-            return { headers, records, debugInfo };
-        }, type);
-
-        // Log debug info
-        if (data.debugInfo) {
-            data.debugInfo.forEach(msg => console.log(`  ${msg}`));
+            console.log('Falling back to the browser...');
         }
 
-        if (data.error) {
-            console.log(`Error: ${data.error}`);
-            return null;
-        }
-
-        console.log(`Result: ${data.records?.length || 0} records with ${data.headers?.length || 0} columns`);
-        return { headers: data.headers, records: data.records };
+        health.method = 'browser';
+        const page = await getPage();
+        return await withRetry(async () => {
+            const html = await fetchWithBrowser(page, asset, health);
+            const data = parsePage(html, asset, health, saveHtmlDir);
+            if (!data) throw new Error(health.error);
+            return data;
+        }, { attempts: 2, baseDelayMs: 10000, label: 'Browser' });
 
     } catch (error) {
         console.error(`Error scraping ${type}:`, error.message);
+        // Puppeteer errors can run to several lines of advice; keep the gist
+        health.error = error.message.split('\n')[0];
         return null;
+    } finally {
+        health.durationMs = Date.now() - startedAt;
     }
 }
 
-async function main() {
-    console.log('Starting ETF data scrape...');
-    console.log('Time:', new Date().toISOString());
+// Usage:
+//   node scrape-etf.js                                  scrape Farside and publish docs/data
+//   node scrape-etf.js --save-html fixtures/farside     ...and keep the raw pages
+//   node scrape-etf.js --snapshot-dir ../etf-snapshots  ...and keep each asset's raw run (CI artifact)
+//   node scrape-etf.js --browser                        skip the HTTP fast path, always use Chromium
+//   node scrape-etf.js --from-file bitcoin=page.html    parse saved pages offline (no publish)
+//   node scrape-etf.js --from-file ... --out out.json   ...and write the result somewhere
+//   node scrape-etf.js --fixtures                       replay the recorded corpus and check it
+//   node scrape-etf.js --update-fixtures                rewrite expected.json from the saved pages
+function parseCliArgs() {
+    const { values } = parseArgs({
+        options: {
+            'from-file': { type: 'string', multiple: true },
+            'out': { type: 'string' },
+            'save-html': { type: 'string' },
+            'snapshot-dir': { type: 'string' },
+            'browser': { type: 'boolean' },
+            'fixtures': { type: 'boolean' },
+            'update-fixtures': { type: 'boolean' },
+            'fixtures-dir': { type: 'string' }
+        }
+    });
 
+    const fromFiles = {};
+    for (const spec of values['from-file'] || []) {
+        const [type, file] = spec.split('=');
+        if (!ASSETS.some(asset => asset.id === type) || !file) {
+            throw new Error(`--from-file expects <${ASSETS.map(asset => asset.id).join('|')}>=<path>, got "${spec}"`);
+        }
+        fromFiles[type] = path.resolve(file);
+    }
+
+    return {
+        fromFiles: Object.keys(fromFiles).length > 0 ? fromFiles : null,
+        out: values.out ? path.resolve(values.out) : null,
+        saveHtmlDir: values['save-html'] ? path.resolve(values['save-html']) : null,
+        snapshotDir: values['snapshot-dir'] ? path.resolve(values['snapshot-dir']) : null,
+        browserOnly: values.browser || false,
+        fixtures: values.fixtures || false,
+        updateFixtures: values['update-fixtures'] || false,
+        fixturesDir: values['fixtures-dir'] ? path.resolve(values['fixtures-dir']) : FIXTURES_DIR
+    };
+}
+
+async function launchBrowser() {
     const browser = await puppeteer.launch({
         headless: 'new',
         args: [
@@ -198,65 +213,216 @@ async function main() {
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
     });
 
+    return { browser, page };
+}
+
+async function scrapeLive(results, health, { saveHtmlDir, browserOnly }) {
+    // Chromium is only started if some page needs it
+    let session = null;
+    const getPage = async () => {
+        if (!session) {
+            console.log('Launching headless browser...');
+            session = launchBrowser();
+        }
+        return (await session).page;
+    };
+
+    // Always close the browser, or a crash would leave the process hanging
+    try {
+        // Scrape each ETF type
+        for (const [index, asset] of ASSETS.entries()) {
+            if (index > 0) {
+                await sleep(REQUEST_DELAY_MS);
+            }
+            results[asset.id] = await scrapeETFData(asset, health[asset.id], getPage, { saveHtmlDir, browserOnly });
+        }
+    } finally {
+        // A failed launch has nothing to close
+        const { browser } = session ? await session.catch(() => ({})) : {};
+        if (browser) {
+            await browser.close();
+        }
+    }
+}
+
+function loadFromFiles(results, health, fromFiles) {
+    for (const [type, file] of Object.entries(fromFiles)) {
+        const asset = ASSETS.find(a => a.id === type);
+        console.log(`\n========== Parsing ${asset.name} ETF data from file ==========`);
+        console.log(`File: ${file}`);
+
+        const startedAt = Date.now();
+        const html = fs.readFileSync(file, 'utf8');
+        const data = parseFarsideHtml(html, { expectedIssuers: asset.issuers });
+        data.debugInfo.forEach(msg => console.log(`  ${msg}`));
+        health[type].method = 'file';
+        health[type].cloudflareChallenge = isCloudflareChallenge(html);
+        health[type].durationMs = Date.now() - startedAt;
+
+        if (data.error) {
+            console.log(`Error: ${data.error}`);
+            health[type].error = data.error;
+            continue;
+        }
+
+        console.log(`Result: ${data.records.length} records with ${data.headers.length} columns`);
+        health[type].rows = data.records.length;
+        results[type] = { headers: data.headers, records: data.records, meta: data.meta };
+    }
+}
+
+async function main() {
+    const options = parseCliArgs();
+
+    if (options.updateFixtures) {
+        if (!updateFixtures(options.fixturesDir)) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+    if (options.fixtures) {
+        if (!checkFixtures(options.fixturesDir)) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    const offline = options.fromFiles !== null;
+
+    console.log(offline ? 'Parsing saved ETF pages...' : 'Starting ETF data scrape...');
+    console.log('Time:', new Date().toISOString());
+
+    const runAt = new Date().toISOString();
+    const health = {};
     const results = {
-        lastUpdated: new Date().toISOString(),
-        bitcoin: null,
-        ethereum: null,
-        solana: null
+        schemaVersion: SCHEMA_VERSION,
+        lastUpdated: runAt,
+        assets: ASSETS.map(describeAsset),
+        health
     };
+    ASSETS.forEach(asset => {
+        results[asset.id] = null;
+        health[asset.id] = createHealth();
+    });
 
-    // Scrape each ETF type
-    for (const [type, url] of Object.entries(FARSIDE_URLS)) {
-        results[type] = await scrapeETFData(page, url, type.charAt(0).toUpperCase() + type.slice(1));
-        // Delay between requests
-        await new Promise(r => setTimeout(r, 5000));
+    if (offline) {
+        loadFromFiles(results, health, options.fromFiles);
+    } else {
+        await scrapeLive(results, health, options);
     }
 
-    await browser.close();
-
-    // Calculate summary stats for each ETF type
-    ['bitcoin', 'ethereum', 'solana'].forEach(type => {
-        const etfData = results[type];
-        if (etfData?.records?.length > 0) {
-            const records = etfData.records;
-            // Find the Total column (might be named differently)
-            const totalHeader = etfData.headers.find(h =>
-                h.toLowerCase().includes('total') ||
-                h.toLowerCase() === 'net'
-            ) || etfData.headers[etfData.headers.length - 1]; // Fallback to last column
-
-            if (totalHeader) {
-                // Get most recent records (data might be in reverse chronological order)
-                const recentRecords = records.slice(0, 7);
-                let weeklyFlow = 0;
-
-                recentRecords.forEach(record => {
-                    const val = record[totalHeader]?.toString().replace(/[,$\s]/g, '');
-                    if (val && !isNaN(parseFloat(val))) {
-                        weeklyFlow += parseFloat(val);
-                    }
-                });
-
-                results[`${type}Summary`] = {
-                    latestDate: records[0]?.[etfData.headers[0]],
-                    latestFlow: records[0]?.[totalHeader],
-                    weeklyFlow: weeklyFlow.toFixed(1),
-                    totalRecords: records.length
-                };
-            }
+    // Convert raw table strings into the typed schema; the fee / seed rows go
+    // to the holdings dataset instead of etf-flows.json
+    const terms = {};
+    ASSETS.forEach(({ id }) => {
+        if (results[id]) {
+            const raw = results[id];
+            results[id] = normalizeDataset(raw, new Date(runAt));
+            terms[id] = issuerTerms(raw.meta, results[id].issuers);
+        }
+    });
+
+    // A failed page keeps the last published data for that asset instead of
+    // wiping it. Saved pages are partial by design, so offline runs skip this.
+    const previous = offline ? null : loadPreviousOutput(OUTPUT_PATH, ASSETS);
+    const regressions = findRegressions(results, previous, ASSETS);
+    mergeWithPrevious(results, previous, ASSETS, health, runAt);
+
+    // Calendar rollups and summary stats for each ETF type
+    ASSETS.forEach(asset => {
+        const type = asset.id;
+        const records = results[type]?.records;
+        if (records?.length > 0) {
+            const rollups = buildRollups(results[type], {
+                launchDate: asset.launchDate,
+                asOf: records[0].date
+            });
+            results[type].rollups = rollups;
+
+            // Current ISO week (Mon-Fri), flagged partial until it is complete
+            const { flows, ...latestWeek } = rollups.weekly[0];
+
+            results[`${type}Summary`] = {
+                latestDate: records[0].date,
+                latestFlow: records[0].total,
+                weeklyFlow: latestWeek.total,
+                latestWeek,
+                totalRecords: records.length,
+                ...computeAnalytics(results[type], asset)
+            };
         }
     });
 
-    // Save to JSON file
-    const outputPath = path.join(__dirname, '..', 'docs', 'data', 'etf-flows.json');
-    fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
-    console.log(`\nData saved to ${outputPath}`);
+    // Refuse to publish a file that drifted from the schema; the previous
+    // etf-flows.json stays in place and the workflow has nothing to commit
+    const validation = validateOutput(results, ASSETS);
+    validation.warnings.forEach(msg => console.warn(`Warning: ${msg}`));
+    if (!validation.valid) {
+        console.error(`\nSchema validation failed (${validation.errors.length} errors), keeping the last good file:`);
+        validation.errors.slice(0, 50).forEach(msg => console.error(`  ${msg}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    // Fewer rows or an older latest date than the published file usually means
+    // Farside served a truncated or cached page: keep the last good file
+    if (regressions.length > 0) {
+        console.error(`\nData would regress (${regressions.length} problems), keeping the last good file:`);
+        regressions.forEach(msg => console.error(`  ${msg}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    // Saved pages are for debugging: never touch the published data or history
+    if (offline) {
+        if (options.out) {
+            fs.writeFileSync(options.out, JSON.stringify(results, null, 2));
+            console.log(`\nData saved to ${options.out}`);
+        }
+    } else {
+        // Append this run to the durable history and log any revised cells
+        console.log('\n========== History ==========');
+        let revisionCount = 0;
+        for (const { id } of ASSETS) {
+            // Carried-over datasets were recorded by the run that scraped them
+            if (health[id].status === 'ok') {
+                revisionCount += recordHistory(id, results[id], runAt, { snapshotDir: options.snapshotDir }).revisions.length;
+            }
+        }
+        console.log(`Revisions detected this run: ${revisionCount}`);
+
+        // Save to JSON file
+        fs.writeFileSync(OUTPUT_PATH, JSON.stringify(results, null, 2));
+        console.log(`\nData saved to ${OUTPUT_PATH}`);
+
+        // Join flows with CoinGecko prices so the dashboard doesn't have to
+        console.log('\n========== Market join ==========');
+        const market = await buildMarketJoin(results, ASSETS, runAt);
+        fs.writeFileSync(MARKET_PATH, JSON.stringify(market, null, 2));
+        console.log(`Market data saved to ${MARKET_PATH}`);
+
+        // Coins held per issuer, estimated from the flows and closes above
+        console.log('\n========== Holdings ==========');
+        const holdings = buildHoldings(results, terms, market, ASSETS, runAt);
+        fs.writeFileSync(HOLDINGS_PATH, JSON.stringify(holdings, null, 2));
+        console.log(`Holdings saved to ${HOLDINGS_PATH}`);
+    }
 
     // Log summary
     console.log('\n========== Summary ==========');
-    console.log('Bitcoin:', results.bitcoinSummary || 'No data');
-    console.log('Ethereum:', results.ethereumSummary || 'No data');
-    console.log('Solana:', results.solanaSummary || 'No data');
+    ASSETS.forEach(asset => {
+        console.log(`${asset.name}:`, results[`${asset.id}Summary`] || 'No data');
+    });
+
+    console.log('\n========== Health ==========');
+    ASSETS.forEach(({ id }) => {
+        const { status, method, rows, cloudflareChallenge, durationMs, error } = health[id];
+        const challenge = cloudflareChallenge ? ', Cloudflare challenge' : '';
+        console.log(`${id}: ${status} via ${method || 'nothing'} (${rows} rows, ${durationMs}ms${challenge})${error ? ` - ${error}` : ''}`);
+    });
 }
 
-main().catch(console.error);
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
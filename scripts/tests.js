@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+// Unit checks for the pure parts of the scraper (schema, history, analytics, NYSE
+// calendar), in the style of the Farside fixture check. Run with `npm test`.
+//
+// Each file in tests/ exports an object of check name -> function; a check
+// passes when it returns without throwing. Use the assert module.
+
+const TESTS_DIR = path.join(__dirname, 'tests');
+
+let passed = 0;
+let total = 0;
+
+console.log(`Running unit checks in ${TESTS_DIR}`);
+
+for (const file of fs.readdirSync(TESTS_DIR).filter(name => name.endsWith('.js')).sort()) {
+    const checks = require(path.join(TESTS_DIR, file));
+    console.log(`\n${file}`);
+
+    for (const [name, check] of Object.entries(checks)) {
+        total++;
+        try {
+            check();
+            passed++;
+            console.log(`  PASS ${name}`);
+        } catch (error) {
+            console.log(`  FAIL ${name}`);
+            String(error.message).split('\n').forEach(line => console.log(`    ${line}`));
+        }
+    }
+}
+
+console.log(`\n${passed}/${total} checks passed`);
+process.exitCode = passed === total ? 0 : 1;
@@ -0,0 +1,65 @@
+const assert = require('assert/strict');
+const { computeAnalytics } = require('../lib/analytics');
+
+const ASSET = { id: 'bitcoin', launchDate: '2024-01-11', legacyIssuers: ['GBTC'] };
+
+function record(date, flows) {
+    return { date, flows, total: Object.values(flows).reduce((sum, value) => sum + (value ?? 0), 0) };
+}
+
+const DATASET = {
+    issuers: ['IBIT', 'GBTC', 'BTCW'],
+    records: [
+        record('2024-01-17', { IBIT: 30, GBTC: -50, BTCW: null }),
+        record('2024-01-16', { IBIT: 10, GBTC: -20, BTCW: null }),
+        record('2024-01-12', { IBIT: 20, GBTC: 10, BTCW: null }),
+        record('2024-01-11', { IBIT: 10, GBTC: 0, BTCW: null }),
+        record('2024-01-10', { IBIT: 99, GBTC: 99, BTCW: null })
+    ]
+};
+
+module.exports = {
+    'records before the launch date are ignored'() {
+        const analytics = computeAnalytics(DATASET, ASSET);
+        assert.equal(analytics.cumulativeFlow, 10);
+        assert.equal(analytics.issuers.IBIT.cumulativeFlow, 70);
+    },
+
+    'rolling sums cover the latest trading days'() {
+        assert.deepEqual(computeAnalytics(DATASET, ASSET).issuers.GBTC.rolling, { d5: -60, d20: -60, d60: -60 });
+    },
+
+    'streaks count back from the latest day'() {
+        const analytics = computeAnalytics(DATASET, ASSET);
+        assert.deepEqual(analytics.streak, { direction: 'outflow', days: 2, flow: -30, since: '2024-01-16' });
+        assert.deepEqual(analytics.issuers.IBIT.streak, { direction: 'inflow', days: 4, flow: 70, since: '2024-01-11' });
+    },
+
+    'extremes pick the largest inflow and outflow days'() {
+        const { largestInflow, largestOutflow } = computeAnalytics(DATASET, ASSET).issuers.GBTC;
+        assert.deepEqual(largestInflow, { date: '2024-01-12', flow: 10 });
+        assert.deepEqual(largestOutflow, { date: '2024-01-17', flow: -50 });
+    },
+
+    'inflow shares only count positive days'() {
+        const { issuers } = computeAnalytics(DATASET, ASSET);
+        assert.equal(issuers.IBIT.inflowShare.all, 0.875);
+        assert.equal(issuers.GBTC.inflowShare.all, 0.125);
+    },
+
+    'issuers with no reported flow have no stats'() {
+        assert.equal(computeAnalytics(DATASET, ASSET).issuers.BTCW, null);
+    },
+
+    'legacy issuers are compared with the rest'() {
+        const { legacyVsRest } = computeAnalytics(DATASET, ASSET);
+        assert.deepEqual(legacyVsRest.legacy, ['GBTC']);
+        assert.equal(legacyVsRest.legacyFlow.cumulativeFlow, -60);
+        assert.equal(legacyVsRest.restFlow.cumulativeFlow, 70);
+    },
+
+    'legacy comparison needs reported legacy flows'() {
+        const dataset = { issuers: ['IBIT', 'GBTC'], records: [record('2024-01-11', { IBIT: 1, GBTC: null })] };
+        assert.equal(computeAnalytics(dataset, ASSET).legacyVsRest, undefined);
+    }
+};
@@ -0,0 +1,77 @@
+const assert = require('assert/strict');
+const { nyseHolidays, isTradingDay, isoWeek, buildRollups } = require('../lib/calendar');
+
+function record(date, IBIT, GBTC) {
+    return { date, flows: { IBIT, GBTC }, total: (IBIT ?? 0) + (GBTC ?? 0) };
+}
+
+// Week of Memorial Day 2025, fully reported, and the running week after it
+const DATASET = {
+    issuers: ['IBIT', 'GBTC'],
+    records: [
+        record('2025-06-03', 5, null),
+        record('2025-06-02', 5, null),
+        record('2025-05-30', 1, -1),
+        record('2025-05-29', 2, null),
+        record('2025-05-28', 3, null),
+        record('2025-05-27', 4, -2)
+    ]
+};
+
+module.exports = {
+    'nyseHolidays follows the holiday rules and one-off closures'() {
+        assert.deepEqual([...nyseHolidays(2025)].sort(), [
+            '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+            '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'
+        ]);
+    },
+
+    'weekend holidays are observed on the nearest weekday'() {
+        // Jul 4 2026 is a Saturday, Jul 4 2027 a Sunday
+        assert.ok(nyseHolidays(2026).has('2026-07-03'));
+        assert.ok(nyseHolidays(2027).has('2027-07-05'));
+        // ...except New Year's Day on a Saturday, which NYSE does not move
+        assert.ok(!nyseHolidays(2022).has('2021-12-31'));
+        assert.ok(isTradingDay('2021-12-31'));
+    },
+
+    'isTradingDay excludes weekends and holidays'() {
+        assert.equal(isTradingDay('2025-05-26'), false);
+        assert.equal(isTradingDay('2025-05-31'), false);
+        assert.equal(isTradingDay('2025-05-27'), true);
+    },
+
+    'isoWeek puts year-end days in the week of their Thursday'() {
+        assert.equal(isoWeek('2025-12-29'), '2026-W01');
+        assert.equal(isoWeek('2027-01-01'), '2026-W53');
+        assert.equal(isoWeek('2025-05-27'), '2025-W22');
+    },
+
+    'weekly rollups count trading days from the calendar'() {
+        const [running, holidayWeek] = buildRollups(DATASET, { launchDate: '2024-01-11', asOf: '2025-06-03' }).weekly;
+        assert.deepEqual(holidayWeek, {
+            period: '2025-W22',
+            start: '2025-05-27',
+            end: '2025-05-30',
+            tradingDays: 4,
+            reportedDays: 4,
+            partial: false,
+            partialReason: null,
+            holidays: ['2025-05-26'],
+            total: 7,
+            flows: { IBIT: 10, GBTC: -3 }
+        });
+        assert.equal(running.partialReason, 'in-progress');
+        assert.equal(running.flows.GBTC, null);
+    },
+
+    'partial periods explain themselves'() {
+        const missing = buildRollups({ ...DATASET, records: DATASET.records.slice(3) }, { launchDate: '2024-01-11', asOf: '2025-06-30' });
+        assert.equal(missing.weekly[0].partialReason, 'missing-days');
+
+        const launched = buildRollups(DATASET, { launchDate: '2025-05-27', asOf: '2025-06-30' });
+        assert.equal(launched.monthly[1].period, '2025-05');
+        assert.equal(launched.monthly[1].partialReason, 'launch');
+        assert.equal(launched.quarterly[0].period, '2025-Q2');
+    }
+};
@@ -0,0 +1,41 @@
+const assert = require('assert/strict');
+const { mergeSeries } = require('../lib/history');
+
+const SERIES = {
+    asset: 'bitcoin',
+    issuers: ['IBIT'],
+    records: [{ date: '2026-07-20', flows: { IBIT: 5 }, total: 5 }]
+};
+
+module.exports = {
+    'new dates are added and revised cells are logged'() {
+        const { series, revisions, added } = mergeSeries(SERIES, {
+            issuers: ['IBIT'],
+            records: [
+                { date: '2026-07-21', flows: { IBIT: 7 }, total: 7 },
+                { date: '2026-07-20', flows: { IBIT: 6 }, total: 6 }
+            ]
+        }, 'bitcoin', '2026-07-22T06:00:00Z');
+
+        assert.equal(added, 1);
+        assert.deepEqual(series.records.map(r => [r.date, r.flows.IBIT]), [['2026-07-21', 7], ['2026-07-20', 6]]);
+        assert.deepEqual(revisions, [
+            { asset: 'bitcoin', date: '2026-07-20', column: 'IBIT', oldValue: 5, newValue: 6, detectedAt: '2026-07-22T06:00:00Z' },
+            { asset: 'bitcoin', date: '2026-07-20', column: 'total', oldValue: 5, newValue: 6, detectedAt: '2026-07-22T06:00:00Z' }
+        ]);
+    },
+
+    'a new issuer column is not a revision and is null on older dates'() {
+        const { series, revisions } = mergeSeries(SERIES, {
+            issuers: ['IBIT', 'MSBT'],
+            records: [
+                { date: '2026-07-21', flows: { IBIT: 1, MSBT: 2 }, total: 3 },
+                { date: '2026-07-20', flows: { IBIT: 5, MSBT: null }, total: 5 }
+            ]
+        }, 'bitcoin', '2026-07-22T06:00:00Z');
+
+        assert.deepEqual(revisions, []);
+        assert.deepEqual(series.issuers, ['IBIT', 'MSBT']);
+        assert.equal(series.records[1].flows.MSBT, null);
+    }
+};
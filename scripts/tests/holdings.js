@@ -0,0 +1,59 @@
+const assert = require('assert/strict');
+const { joinAsset } = require('../lib/market');
+const { estimateHoldings } = require('../lib/holdings');
+
+// Newest first, like the flow dataset. GBTC is a converted trust.
+const DATASET = {
+    issuers: ['IBIT', 'GBTC'],
+    records: [
+        { date: '2024-01-12', flows: { IBIT: 200, GBTC: -100 }, total: 100 },
+        { date: '2024-01-11', flows: { IBIT: 100, GBTC: -50 }, total: 50 }
+    ]
+};
+
+const CLOSES = new Map([['2024-01-12', 50000], ['2024-01-11', 50000]]);
+const TERMS = { IBIT: { feeRate: 0.0025, seedUsd: null }, GBTC: { feeRate: 0.015, seedUsd: null } };
+
+module.exports = {
+    'backfilled closes price days CoinGecko and the previous file lack'() {
+        const fresh = new Map([['2024-01-12', { close: 50000, marketCap: 1e12 }]]);
+        const records = joinAsset(DATASET, fresh, [], new Map([['2024-01-11', 46000], ['2024-01-12', 1]]));
+
+        assert.equal(records[0].close, 50000);
+        assert.equal(records[0].marketCap, 1e12);
+        assert.equal(records[1].close, 46000);
+        assert.equal(records[1].marketCap, null);
+        assert.equal(records[1].flowCoins, 1086.96);
+    },
+
+    'a legacy issuer without opening coins keeps the asset incomplete'() {
+        const holdings = estimateHoldings(DATASET, CLOSES, TERMS, ['GBTC']);
+
+        assert.equal(holdings.since, '2024-01-11');
+        assert.equal(holdings.issuers.IBIT.coins, 6000);
+        assert.equal(holdings.issuers.GBTC.coins, null);
+        assert.equal(holdings.issuers.GBTC.netCoins, -3000);
+        assert.equal(holdings.complete, false);
+        assert.equal(holdings.totalCoins, null);
+    },
+
+    'opening coins seed a legacy issuer and complete the totals'() {
+        const holdings = estimateHoldings(DATASET, CLOSES, TERMS, ['GBTC'], { GBTC: 10000 });
+
+        assert.equal(holdings.issuers.GBTC.openingCoins, 10000);
+        assert.equal(holdings.issuers.GBTC.coins, 7000);
+        assert.equal(holdings.complete, true);
+        assert.equal(holdings.totalCoins, 13000);
+        assert.equal(holdings.totalAumUsd, 650000000);
+    },
+
+    'an issuer older than the first priced day stays incomplete'() {
+        const closes = new Map([['2024-01-12', 50000]]);
+        const holdings = estimateHoldings(DATASET, closes, TERMS, ['GBTC'], { GBTC: 10000 });
+
+        assert.equal(holdings.since, '2024-01-12');
+        assert.equal(holdings.issuers.IBIT.complete, false);
+        assert.equal(holdings.issuers.IBIT.coins, null);
+        assert.equal(holdings.issuers.GBTC.coins, null);
+    }
+};
@@ -0,0 +1,144 @@
+const assert = require('assert/strict');
+const {
+    parseFlow,
+    parseFarsideDate,
+    inferYears,
+    normalizeDataset,
+    migrateV1Dataset,
+    validateDataset,
+    validateOutput
+} = require('../lib/schema');
+
+const BITCOIN = { id: 'bitcoin', launchDate: '2024-01-11', issuers: ['IBIT', 'GBTC'] };
+
+function dataset(records) {
+    return { issuers: ['IBIT', 'GBTC'], records };
+}
+
+function output(overrides = {}) {
+    return {
+        schemaVersion: 2,
+        lastUpdated: '2026-07-22T06:00:00.000Z',
+        assets: [{ id: 'bitcoin' }],
+        health: { bitcoin: { status: 'ok' } },
+        bitcoin: dataset([{ date: '2026-07-21', flows: { IBIT: 10, GBTC: -2 }, total: 8 }]),
+        ...overrides
+    };
+}
+
+module.exports = {
+    'parseFlow reads Farside cells'() {
+        assert.equal(parseFlow('1,205.2'), 1205.2);
+        assert.equal(parseFlow('(95.1)'), -95.1);
+        assert.equal(parseFlow('-3.5'), -3.5);
+        assert.equal(parseFlow('$0.0'), 0);
+        assert.equal(parseFlow('-'), null);
+        assert.equal(parseFlow(''), null);
+        assert.equal(parseFlow(undefined), null);
+        assert.equal(parseFlow('n/a'), 'n/a');
+    },
+
+    'parseFarsideDate reads dates with and without a year'() {
+        assert.deepEqual(parseFarsideDate('21 Jul 2026'), { day: 21, month: 7, year: 2026 });
+        assert.deepEqual(parseFarsideDate('3 Sept'), { day: 3, month: 9, year: null });
+        assert.equal(parseFarsideDate('Total'), null);
+    },
+
+    'inferYears rolls over the new year in both directions'() {
+        const dates = inferYears([
+            { day: 30, month: 12, year: null },
+            { day: 2, month: 1, year: 2026 },
+            { day: 3, month: 1, year: null }
+        ], new Date('2026-07-01'));
+        assert.deepEqual(dates.map(d => d.year), [2025, 2026, 2026]);
+    },
+
+    'inferYears without any year assumes the newest row is not in the future'() {
+        const dates = inferYears([{ day: 20, month: 11, year: null }, { day: 5, month: 1, year: null }], new Date('2026-01-10'));
+        assert.deepEqual(dates.map(d => d.year), [2025, 2026]);
+    },
+
+    'normalizeDataset types the table and keeps newest first'() {
+        const normalized = normalizeDataset({
+            headers: ['Date', 'IBIT', 'GBTC', 'Total'],
+            records: [
+                { Date: '02 Jan', IBIT: '10.0', GBTC: '(2.0)', Total: '8.0' },
+                { Date: '31 Dec 2025', IBIT: '-', GBTC: '1.0', Total: '1.0' }
+            ]
+        }, new Date('2026-01-05'));
+        assert.deepEqual(normalized, dataset([
+            { date: '2026-01-02', flows: { IBIT: 10, GBTC: -2 }, total: 8 },
+            { date: '2025-12-31', flows: { IBIT: null, GBTC: 1 }, total: 1 }
+        ]));
+    },
+
+    'migrateV1Dataset maps generated and repeated headers to registry tickers'() {
+        const asset = { issuers: ['ETHA', 'ETHB', 'ETHE', 'ETH'] };
+        const legacy = {
+            headers: ['Date', 'Blackrock', 'Blackrock', 'Grayscale', 'Grayscale', 'Total'],
+            records: [{ Date: '23 Jul 2024', Blackrock: '-', Grayscale: '15.1', Total: '-217.5' }]
+        };
+        assert.deepEqual(migrateV1Dataset(legacy, asset, new Date('2026-07-22')), {
+            issuers: ['ETHA', 'ETHB', 'ETHE', 'ETH'],
+            records: [{ date: '2024-07-23', flows: { ETHA: null, ETHB: null, ETHE: null, ETH: 15.1 }, total: -217.5 }]
+        });
+
+        const solana = migrateV1Dataset({
+            headers: ['Date', 'ETF_1', 'ETF_2', 'Total'],
+            records: [{ Date: '21 Jul 2026', ETF_1: '5.8', ETF_2: '0.0', Total: '5.8' }]
+        }, { issuers: ['BSOL', 'VSOL'] }, new Date('2026-07-22'));
+        assert.deepEqual(solana.records[0].flows, { BSOL: 5.8, VSOL: 0 });
+    },
+
+    'migrateV1Dataset keeps ticker headers and gives up on unknown columns'() {
+        const legacy = { headers: ['Date', 'GBTC', 'IBIT', 'Total'], records: [{ Date: '11 Jan 2024', GBTC: '-95.1', IBIT: '111.7', Total: '16.6' }] };
+        assert.deepEqual(migrateV1Dataset(legacy, BITCOIN, new Date('2026-07-22')).records[0].flows, { GBTC: -95.1, IBIT: 111.7 });
+        assert.equal(migrateV1Dataset({ headers: ['Date', 'X', 'Total'], records: [] }, BITCOIN, new Date()), null);
+    },
+
+    'validateDataset reports structural errors'() {
+        const { errors } = validateDataset(dataset([
+            { date: '2026-07-21', flows: { IBIT: '1.0' }, total: null },
+            { date: '2026-07-21', flows: { IBIT: 1, GBTC: 1 }, total: 2 },
+            { date: '2026-02-30', flows: { IBIT: 1, GBTC: 1 }, total: 2 }
+        ]), 'bitcoin');
+        assert.deepEqual(errors, [
+            'bitcoin.records[0].flows: keys [IBIT] do not match issuers',
+            'bitcoin.records[0].flows.IBIT: expected number or null, got "1.0"',
+            'bitcoin.records[0].flows.GBTC: expected number or null, got undefined',
+            'bitcoin.records[1].date: 2026-07-21 is not older than 2026-07-21 (records must be newest first, no duplicates)',
+            'bitcoin.records[2].date: expected YYYY-MM-DD, got "2026-02-30"'
+        ]);
+    },
+
+    'validateDataset warns when issuers do not add up to the total'() {
+        const { errors, warnings } = validateDataset(dataset([
+            { date: '2026-07-21', flows: { IBIT: 10, GBTC: -2 }, total: 8.9 },
+            { date: '2026-07-20', flows: { IBIT: 10, GBTC: -2 }, total: 10 }
+        ]), 'bitcoin');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(warnings, ['bitcoin.records[1] (2026-07-20): issuer flows sum to 8.0 but total is 10']);
+    },
+
+    'validateOutput checks the envelope and registry drift'() {
+        assert.deepEqual(validateOutput(output(), [BITCOIN]), { valid: true, errors: [], warnings: [] });
+
+        const drifted = validateOutput(output(), [{ ...BITCOIN, issuers: ['IBIT', 'FBTC'] }]);
+        assert.deepEqual(drifted.warnings, [
+            'bitcoin: columns not in config/assets.json: GBTC',
+            'bitcoin: expected issuers missing from Farside: FBTC'
+        ]);
+
+        const broken = validateOutput(output({ schemaVersion: 1, health: {}, lastUpdated: 'yesterday' }), [BITCOIN]);
+        assert.deepEqual(broken.errors, [
+            'schemaVersion: expected 2, got 1',
+            'lastUpdated: expected an ISO-8601 timestamp',
+            'health.bitcoin.status: expected one of ok, stale, failed, got undefined'
+        ]);
+    },
+
+    'validateOutput accepts a failed asset with nothing carried over'() {
+        const result = validateOutput(output({ bitcoin: null, health: { bitcoin: { status: 'failed' } } }), [BITCOIN]);
+        assert.equal(result.valid, true);
+    }
+};
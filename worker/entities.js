@@ -0,0 +1,180 @@
+/**
+ * Cross-source entity resolution.
+ *
+ * Sources name the same thing differently: "#MooDeng" on TikTok, "Moo Deng
+ * hippo is back" on Reddit, "$MOODENG" on X. resolveEntities() groups
+ * normalized trends that refer to the same entity so mergeAndScore can merge
+ * them and award the multi-source boost.
+ *
+ * Every trend first gets an entity key:
+ *   - the alias table's canonical name when its name or a phrase of its title
+ *     is listed there (tickers, alternative spellings)
+ *   - else the first short trend name ("moodeng", "$PEPE") that appears in its
+ *     title as a run of adjacent words ("Moo Deng hippo" -> moodeng)
+ *   - else its own name if it is short itself, or none for a long title
+ * Trends with the same key are grouped. Remaining pairs are grouped when their
+ * word sets overlap strongly (Jaccard >= 0.6, at least 2 shared words), but a
+ * group never ends up with two different keys, so a title that mentions two
+ * coins can't chain their groups together.
+ */
+
+// Canonical entity name -> other names it goes by (compared after
+// normalizeName). Extend when a pair that
+// should merge is seen in /trends as separate entries.
+export const ENTITY_ALIASES = {
+  moodeng: ['moodenghippo'],
+  dogwifhat: ['wif', 'dogwifcoin'],
+  pepe: ['pepecoin', 'pepethefrog'],
+  peanutthesquirrel: ['pnut', 'peanutsquirrel', 'justiceforpeanut'],
+  dogecoin: ['doge'],
+  shibainu: ['shib', 'shiba'],
+  bonk: ['bonkcoin'],
+  popcat: ['popcatcoin'],
+  goatseus: ['goatseusmaximus', 'goatseusmaximusai'],
+  fartcoin: ['fart'],
+  brett: ['brettcoin', 'basedbrett'],
+  skibidi: ['skibiditoilet'],
+  italianbrainrot: ['tralalerotralala', 'bombardirocrocodilo']
+};
+
+// Short entity names must be at least this long to match inside another
+// title ("sol" or "gm" would match far too much)
+const MIN_ENTITY_LENGTH = 4;
+
+// Names of at most this many words count as a single entity
+const MAX_ENTITY_WORDS = 3;
+
+const SIMILARITY_THRESHOLD = 0.6;
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'is', 'are', 'was', 'with', 'by', 'this', 'that', 'it', 'its', 'my', 'your', 'just', 'new', 'vs', 'how', 'why', 'what', 'who']);
+
+// alias -> canonical name, including each canonical name itself
+const ALIAS_INDEX = new Map();
+for (const [canonical, aliases] of Object.entries(ENTITY_ALIASES)) {
+  ALIAS_INDEX.set(canonical, canonical);
+  aliases.forEach(alias => ALIAS_INDEX.set(alias, canonical));
+}
+
+// Lowercase key of a trend name: letters, digits and emoji only, with
+// accents folded on Latin letters ("#MooDeng" -> moodeng, "Café" -> cafe).
+// Other scripts are kept as they are, so "#東京タワー" doesn't become "".
+export function normalizeName(text) {
+  return text
+    .replace(/^#/, '')
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Extended_Pictographic}]/gu, '');
+}
+
+// Words of a display name; camelCase hashtags are split ("#MooDeng" -> moo, deng)
+function tokenize(text) {
+  return normalizeWords(text.replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2'))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+function normalizeWords(text) {
+  return text.split(/[^\p{L}\p{M}\p{N}\p{Extended_Pictographic}]+/u).map(normalizeName).filter(Boolean);
+}
+
+// Runs of up to MAX_ENTITY_WORDS adjacent words, joined ("moo deng" ->
+// moodeng), in title order and shortest first at each position
+function phrases(words) {
+  const result = [];
+  for (let i = 0; i < words.length; i++) {
+    let phrase = '';
+    for (let j = i; j < Math.min(words.length, i + MAX_ENTITY_WORDS); j++) {
+      phrase += words[j];
+      result.push(phrase);
+    }
+  }
+  return result;
+}
+
+function describe(trend) {
+  const words = tokenize(trend.displayName || trend.hashtag || trend.name);
+  return {
+    trend,
+    words: new Set([...words, ...(trend.keywords || []).map(normalizeName).filter(Boolean)]),
+    phrases: phrases(words),
+    isEntity: words.length <= MAX_ENTITY_WORDS && trend.name.length >= MIN_ENTITY_LENGTH,
+    key: null
+  };
+}
+
+// entityNames: names of the short trends in this batch
+function entityKey(d, entityNames) {
+  const alias = ALIAS_INDEX.get(d.trend.name);
+  if (alias) return alias;
+
+  for (const phrase of d.phrases) {
+    if (phrase.length < MIN_ENTITY_LENGTH) continue;
+    if (ALIAS_INDEX.has(phrase)) return ALIAS_INDEX.get(phrase);
+    if (entityNames.has(phrase)) return phrase;
+  }
+
+  return d.isEntity ? d.trend.name : null;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return { shared, similarity: union > 0 ? shared / union : 0 };
+}
+
+// Group trends (output of normalizeTrend) by entity. Returns
+// [{ name, trends }] in order of each group's first trend; name is the
+// group's entity key, or the shortest member name for a group without one.
+export function resolveEntities(trends) {
+  const described = trends.map(describe);
+  const entityNames = new Set(described.filter(d => d.isEntity).map(d => d.trend.name));
+  described.forEach(d => { d.key = entityKey(d, entityNames); });
+
+  // Union-find over trend indexes; each root remembers its group's key
+  const parent = described.map((_, i) => i);
+  const rootKey = described.map(d => d.key);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (i, j) => {
+    const a = find(i);
+    const b = find(j);
+    if (a === b) return;
+    if (rootKey[a] && rootKey[b] && rootKey[a] !== rootKey[b]) return;
+    parent[b] = a;
+    rootKey[a] = rootKey[a] || rootKey[b];
+  };
+
+  const byKey = new Map();
+  described.forEach((d, i) => {
+    if (!d.key) return;
+    if (byKey.has(d.key)) {
+      union(byKey.get(d.key), i);
+    } else {
+      byKey.set(d.key, i);
+    }
+  });
+
+  for (let i = 0; i < described.length; i++) {
+    for (let j = i + 1; j < described.length; j++) {
+      const { shared, similarity } = jaccard(described[i].words, described[j].words);
+      if (shared >= 2 && similarity >= SIMILARITY_THRESHOLD) {
+        union(i, j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  described.forEach((d, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(d);
+  });
+
+  return Array.from(groups.entries()).map(([root, group]) => ({
+    name: rootKey[root] || group.reduce((best, d) => (d.trend.name.length < best.trend.name.length ? d : best)).trend.name,
+    trends: group.map(d => d.trend)
+  }));
+}
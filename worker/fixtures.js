@@ -0,0 +1,257 @@
+/**
+ * Replays the recorded pages in fixtures/ through the source parsers and
+ * compares the result with fixtures/expected.json, so markup changes can be
+ * reproduced and fixed offline. Run with `npm run fixtures`.
+ *
+ * `npm run fixtures -- --record` fetches the pages and responses listed in
+ * RECORDINGS live, saves them under fixtures/ and writes their entries in
+ * expected.json from what the parsers currently return. Only real captures
+ * belong in fixtures/; check the recorded values against the live source
+ * before committing.
+ *
+ * expected.json maps a fixture name to:
+ *   parser     key of PARSERS below (every source id is one)
+ *   file       page under fixtures/, handed to the parser
+ *   responses  instead of file, for sources: recorded responses as
+ *              "host/path?query" -> file under fixtures/ (see requestKey).
+ *              The source's own fetch() runs against them (unrecorded URLs
+ *              get a 404) and its transform() parses the result.
+ *   env        env vars the source needs, e.g. API keys (responses only);
+ *              placeholders, since nothing is sent
+ *   region     region code the page was recorded for (default US)
+ *   count      number of items parsed (list parsers)
+ *   items      expected fields of the first items, in order; only the listed
+ *              fields are compared
+ *   result     the whole parse result (single-value parsers)
+ *   mentions   ticker -> number of the source's texts mentioning it (see
+ *              mentions.js), for source parsers
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SOURCES, missingRequirements, trendTexts } from './sources/index.js';
+import { countMentions, knownSymbols } from './mentions.js';
+import { KYM_HEADERS, parseMemePage, parseSearchResults } from './knowyourmeme.js';
+import { DEFAULT_REGION, getRegion } from './regions.js';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const PARSERS = {
+  ...Object.fromEntries(SOURCES.map(source => [source.id, (raw, region) => source.transform(raw, region)])),
+  knowyourmeme: text => parseMemePage(text),
+  'knowyourmeme-search': text => parseSearchResults(text)
+};
+
+// What --record captures, by fixture name:
+//   source  source id: its fetch() runs live and every response is saved
+//   parser  with url: parser key for a single page
+//   url     page to save
+//   region  region code (default US)
+//   fields  item fields to record (default RECORDED_FIELDS)
+// Sources that require API keys read them from the environment.
+const RECORDINGS = {
+  'google-us': { source: 'google' },
+  'trends24-us': { source: 'twitter' },
+  'bluesky': { source: 'bluesky', fields: ['displayName', 'hashtag', 'postCount', 'url', 'rank'] },
+  'farcaster': { source: 'farcaster', fields: ['displayName', 'hashtag', 'castCount', 'channels', 'url', 'rank'] },
+  'youtube-us': { source: 'youtube', fields: ['displayName', 'hashtag', 'views', 'channelTitle', 'url', 'rank'] },
+  'kym-entry': { parser: 'knowyourmeme', url: 'https://knowyourmeme.com/memes/moo-deng' },
+  'kym-search-results': { parser: 'knowyourmeme-search', url: 'https://knowyourmeme.com/search?q=moo+deng' }
+};
+
+// Item fields recorded for the first RECORDED_ITEMS items of list parsers
+const RECORDED_FIELDS = ['displayName', 'hashtag', 'url', 'rank', 'views'];
+const RECORDED_ITEMS = 3;
+
+function readFixture(file) {
+  return readFileSync(join(FIXTURES_DIR, file), 'utf8');
+}
+
+function writeFixture(file, text) {
+  mkdirSync(dirname(join(FIXTURES_DIR, file)), { recursive: true });
+  writeFileSync(join(FIXTURES_DIR, file), text);
+}
+
+function fileExtension(response) {
+  const type = response.headers.get('content-type') || '';
+  if (type.includes('json')) return '.json';
+  if (type.includes('xml')) return '.xml';
+  return '.html';
+}
+
+// "host/path?query" a recorded response is replayed for. The query tells
+// pages of the same endpoint apart; API keys passed in it are left out.
+function requestKey(url) {
+  const { host, pathname, searchParams } = new URL(url);
+  searchParams.delete('key');
+  const query = searchParams.toString();
+  return `${host}${pathname}${query ? `?${query}` : ''}`;
+}
+
+function readManifest() {
+  return JSON.parse(readFixture('expected.json'));
+}
+
+// Ticker -> number of the source's texts mentioning it
+function sourceMentions(source, raw, result, region) {
+  const texts = source.texts ? source.texts(raw, region) : trendTexts(result);
+  const tickers = countMentions([[source.id, texts]], knownSymbols([]));
+  return Object.fromEntries(Object.entries(tickers).map(([symbol, entry]) => [symbol, entry.mentions]));
+}
+
+// Runs a source's fetch() against recorded API responses
+async function replaySource(expected, region) {
+  const source = SOURCES.find(s => s.id === expected.parser);
+  if (!source) {
+    throw new Error(`responses need a source parser, got ${expected.parser}`);
+  }
+
+  const fetchUrl = async url => {
+    const file = expected.responses[requestKey(url)];
+    return file
+      ? new Response(readFixture(file), { status: 200 })
+      : new Response('Not recorded', { status: 404 });
+  };
+  return source.fetch(expected.env || {}, fetchUrl, region);
+}
+
+async function checkFixture(expected) {
+  const failures = [];
+  const expect = (label, actual, wanted) => {
+    if (JSON.stringify(actual) !== JSON.stringify(wanted)) {
+      failures.push(`${label}: expected ${JSON.stringify(wanted)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const parse = PARSERS[expected.parser];
+  if (!parse) {
+    return [`unknown parser: ${expected.parser}`];
+  }
+  const region = getRegion(expected.region || DEFAULT_REGION);
+  const raw = expected.responses
+    ? await replaySource(expected, region)
+    : readFixture(expected.file);
+  const result = await parse(raw, region);
+
+  if ('result' in expected) {
+    expect('result', result, expected.result);
+  }
+  if ('count' in expected) {
+    expect('count', result.length, expected.count);
+  }
+  (expected.items || []).forEach((fields, i) => {
+    for (const [field, value] of Object.entries(fields)) {
+      expect(`items[${i}].${field}`, result[i]?.[field], value);
+    }
+  });
+  if ('mentions' in expected) {
+    const source = SOURCES.find(s => s.id === expected.parser);
+    expect('mentions', sourceMentions(source, raw, result, region), expected.mentions);
+  }
+
+  return failures;
+}
+
+// Fetches one recording live and returns its expected.json entry
+async function recordFixture(name, recording) {
+  const region = getRegion(recording.region || DEFAULT_REGION);
+  const entry = { parser: recording.parser || recording.source };
+  let raw;
+
+  if (recording.url) {
+    const response = await fetch(recording.url, { headers: KYM_HEADERS });
+    if (!response.ok) throw new Error(`HTTP ${response.status} from ${recording.url}`);
+    raw = await response.text();
+    entry.file = `${name}/page${fileExtension(response)}`;
+    writeFixture(entry.file, raw);
+  } else {
+    // Every successful response the source asks for is saved and replayed
+    const source = SOURCES.find(s => s.id === recording.source);
+    const missing = missingRequirements(source, process.env);
+    if (missing.length > 0) throw new Error(`needs ${missing.join(', ')}`);
+    if (source.requires) {
+      entry.env = Object.fromEntries(source.requires.map(name => [name, 'fixture']));
+    }
+    entry.responses = {};
+    const fetchUrl = async (url, init) => {
+      const response = await fetch(url, init);
+      const body = await response.text();
+      if (response.ok) {
+        const file = `${name}/response-${Object.keys(entry.responses).length + 1}${fileExtension(response)}`;
+        writeFixture(file, body);
+        entry.responses[requestKey(url)] = file;
+      }
+      return new Response(body, { status: response.status, headers: response.headers });
+    };
+    raw = await source.fetch(process.env, fetchUrl, region);
+  }
+
+  if (recording.region) entry.region = recording.region;
+  entry.recordedAt = new Date().toISOString();
+
+  const result = await PARSERS[entry.parser](raw, region);
+  if (Array.isArray(result) && entry.responses) {
+    entry.count = result.length;
+    entry.items = result.slice(0, RECORDED_ITEMS).map(item => Object.fromEntries(
+      (recording.fields || RECORDED_FIELDS).filter(field => item[field] !== undefined).map(field => [field, item[field]])
+    ));
+    entry.mentions = sourceMentions(SOURCES.find(s => s.id === entry.parser), raw, result, region);
+  } else {
+    entry.result = result;
+  }
+  return entry;
+}
+
+async function record() {
+  const manifest = readManifest();
+  let ok = true;
+
+  console.log(`Recording source fixtures in ${FIXTURES_DIR}`);
+
+  for (const [name, recording] of Object.entries(RECORDINGS)) {
+    try {
+      manifest[name] = await recordFixture(name, recording);
+      console.log(`  ${name}: ${manifest[name].file || Object.values(manifest[name].responses).join(', ')}`);
+    } catch (error) {
+      ok = false;
+      console.log(`  FAIL ${name}: ${error.message}`);
+    }
+  }
+
+  writeFileSync(join(FIXTURES_DIR, 'expected.json'), JSON.stringify(manifest, null, 2) + '\n');
+  return ok;
+}
+
+// Returns true when every fixture matches its expectations. An empty corpus
+// fails: nothing has been checked.
+async function check() {
+  const manifest = readManifest();
+  let passed = 0;
+
+  console.log(`Checking source fixtures in ${FIXTURES_DIR}`);
+
+  const total = Object.keys(manifest).length;
+  if (total === 0) {
+    console.log('  No recorded fixtures yet: run `npm run fixtures -- --record`, or trigger the Record Fixtures workflow');
+    return false;
+  }
+
+  for (const [name, expected] of Object.entries(manifest)) {
+    const recorded = expected.file || Object.values(expected.responses || {}).join(', ');
+    const failures = await checkFixture(expected).catch(error => [error.message]);
+    if (failures.length === 0) {
+      passed++;
+      console.log(`  PASS ${name} (${recorded})`);
+    } else {
+      console.log(`  FAIL ${name} (${recorded})`);
+      failures.forEach(msg => console.log(`    ${msg}`));
+    }
+  }
+
+  console.log(`\n${passed}/${total} fixtures passed`);
+  return passed === total;
+}
+
+const ok = process.argv.includes('--record') ? await record() : await check();
+process.exitCode = ok ? 0 : 1;
@@ -7,51 +7,54 @@
  * - Reddit (free JSON API)
  * - Twitter/X (via trends24.in scraping)
  * - 4chan /biz/ (free official API)
+ * - Bluesky (free public API)
+ * - Farcaster (via Neynar, needs NEYNAR_API_KEY)
+ * - YouTube most popular videos (Data API, needs YOUTUBE_API_KEY)
  *
- * Plus Know Your Meme enrichment for top trends
+ * Plus Know Your Meme enrichment and DexScreener token matching for top trends,
+ * cashtag / token symbol mention counts over everything fetched (/tickers),
+ * and category labels from the taxonomy in taxonomy.js (/categories)
+ *
+ * Each source is an adapter module in ./sources (see sources/index.js);
+ * sources can be disabled or reweighted with SOURCE_<ID>_* env vars.
+ * Every region in regions.js (?region=) is aggregated separately.
  */
 
-// Reddit subreddits to monitor for meme trends
-const REDDIT_SUBREDDITS = [
-  'memes',           // General meme culture
-  'CryptoCurrency',  // Crypto community
-  'CryptoMoonShots', // Early memecoin signals
-  'wallstreetbets'   // Retail trading memes
-];
+import { coversRegion, missingRequirements, resolveSources, runSource } from './sources/index.js';
+import { normalizeName, resolveEntities } from './entities.js';
+import { DEFAULT_REGION, REGIONS, getRegion, regionKey } from './regions.js';
+import { matchTokens } from './tokens.js';
+import { enrichWithKnowYourMeme } from './knowyourmeme.js';
+import { DEFAULT_PROFILE, SCORING_PROFILES, scoreTrends } from './scoring.js';
+import { countMentions, knownSymbols } from './mentions.js';
+import { classifyTrends, filterTrends, relevanceConfig } from './relevance.js';
+import { categorize, taxonomyConfig } from './taxonomy.js';
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
-// TikTok scraper input configuration
-const TIKTOK_SCRAPER_INPUT = {
-  numberOfItems: 30,
-  type: "hashtag",
-  region: "US",
-  resultsPerPage: 30,
-  adsScrapeHashtags: true,
-  adsCountryCode: "US",
-  adsTimeRange: "7"
-};
+// Trend history (KV binding TREND_HISTORY). Every tracked trend of a region
+// lives under one key, so a refresh costs one read and one write. Like the
+// keys below, it gets a region suffix outside the default region (see
+// regions.js).
+const HISTORY_KEY = 'history:v1';
+const HISTORY_MAX_POINTS = 96;      // per trend, ~2 days at 30-minute refreshes
+const HISTORY_RETENTION_DAYS = 7;   // forget trends not seen for a week
+const LIST_GAP_HOURS = 6;           // off the list longer than this starts a new run
+const NEW_TREND_HOURS = 6;          // default window for /trends/new
+const VELOCITY_WINDOW_HOURS = 24;   // score change per hour is measured over this window
 
-// Category keywords for auto-categorization
-const CATEGORY_KEYWORDS = {
-  animal: ['dog', 'cat', 'penguin', 'hippo', 'frog', 'pepe', 'doge', 'shiba', 'inu', 'moo', 'wif', 'moodeng', 'panda', 'bear', 'bird', 'fish', 'whale', 'monkey', 'ape', 'rat', 'hamster', 'duck', 'chicken', 'cow', 'pig', 'horse', 'bunny', 'rabbit', 'turtle', 'croc', 'gator', 'snake'],
-  ai: ['ai', 'gpt', 'claude', 'bot', 'agent', 'terminal', 'goat', 'truth', 'chatgpt', 'openai', 'llm', 'neural', 'machine', 'robot', 'auto'],
-  absurdist: ['brainrot', 'skibidi', 'sigma', 'ohio', 'rizz', 'gyatt', 'delulu', 'unhinged', 'cursed', 'chaos', 'random', 'weird', 'sus', 'slay', 'aura', 'npc', 'mewing', 'based'],
-  crypto: ['coin', 'token', 'moon', 'hodl', 'diamond', 'hands', 'pump', 'rug', 'degen', 'wagmi', 'ngmi', 'gm', 'solana', 'sol', 'eth', 'btc', 'crypto', 'web3', 'nft', 'memecoin']
-};
+// Per-source health for /health, stored in the same namespace
+const SOURCE_HEALTH_KEY = 'source-health:v1';
 
-// Source weights for scoring
-const SOURCE_WEIGHTS = {
-  twitter: 0.30,
-  reddit: 0.25,
-  tiktok: 0.20,
-  google: 0.15,
-  '4chan': 0.10
-};
+// Last good aggregate, rebuilt by the cron trigger and served by /trends
+const SNAPSHOT_KEY = 'snapshot:v1';
+
+// Ticker mentions of the latest and the previous refresh, for /tickers
+const MENTIONS_KEY = 'mentions:v1';
 
 export default {
   async fetch(request, env, ctx) {
@@ -62,777 +65,789 @@ export default {
 
     const url = new URL(request.url);
 
-    // Only handle /trends endpoint
-    if (url.pathname !== '/trends') {
-      return new Response(JSON.stringify({ error: 'Not found' }), {
-        status: 404,
-        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
-      });
+    if (url.pathname === '/trends') {
+      return handleTrends(request, url, env, ctx);
+    }
+    if (url.pathname === '/health') {
+      return handleHealth(url, env);
+    }
+    if (url.pathname === '/trends/new') {
+      return handleNewTrends(url, env);
+    }
+    if (url.pathname === '/trends/regions') {
+      return handleRegionSpread(env);
+    }
+    if (url.pathname.startsWith('/trends/history/')) {
+      return handleTrendHistory(url, env);
+    }
+    if (url.pathname === '/tickers') {
+      return handleTickers(url, env);
+    }
+    if (url.pathname === '/categories') {
+      return handleCategories(url, env);
     }
 
-    try {
-      // Check cache first (skip if ?nocache=1)
-      const skipCache = url.searchParams.get('nocache') === '1';
-      const cache = caches.default;
-      const cacheKey = new Request('https://cache.local/meme-trends-v4', { method: 'GET' });
-
-      if (!skipCache) {
-        let cachedResponse = await cache.match(cacheKey);
-
-        if (cachedResponse) {
-          console.log('Returning cached data');
-          const data = await cachedResponse.json();
-          return new Response(JSON.stringify(data), {
-            headers: {
-              ...CORS_HEADERS,
-              'Content-Type': 'application/json',
-              'X-Cache': 'HIT'
-            }
-          });
-        }
-      }
+    return jsonResponse({ error: 'Not found' }, 404);
+  },
 
-      console.log('Cache miss, fetching from all sources');
-
-      // Fetch from all sources in parallel
-      const [tiktokTrends, googleTrends, redditTrends, twitterTrends, chanTrends] = await Promise.all([
-        fetchTikTokTrends(env),
-        fetchGoogleTrends(),
-        fetchRedditTrends(),
-        fetchTwitterTrends(),
-        fetch4chanTrends()
-      ]);
-
-      // Normalize and merge trends
-      const normalizedTiktok = tiktokTrends.map(t => normalizeTrend(t, 'tiktok'));
-      const normalizedGoogle = googleTrends.map(t => normalizeTrend(t, 'google'));
-      const normalizedReddit = redditTrends.map(t => normalizeTrend(t, 'reddit'));
-      const normalizedTwitter = twitterTrends.map(t => normalizeTrend(t, 'twitter'));
-      const normalizedChan = chanTrends.map(t => normalizeTrend(t, '4chan'));
-
-      // Merge and score all trends
-      let aggregatedTrends = mergeAndScore([...normalizedTiktok, ...normalizedGoogle, ...normalizedReddit, ...normalizedTwitter, ...normalizedChan]);
-
-      // Enrich top trends with Know Your Meme data (optional enhancement)
-      aggregatedTrends = await enrichWithKnowYourMeme(aggregatedTrends);
-
-      // Create response
-      const responseData = {
-        success: true,
-        trends: aggregatedTrends,
-        count: aggregatedTrends.length,
-        sources: {
-          tiktok: normalizedTiktok.length,
-          google: normalizedGoogle.length,
-          reddit: normalizedReddit.length,
-          twitter: normalizedTwitter.length,
-          '4chan': normalizedChan.length
-        },
-        timestamp: new Date().toISOString()
-      };
+  // Cron trigger (see wrangler.toml): rebuild the snapshots of the
+  // SCHEDULED_REGIONS in the background so /trends never waits on the
+  // upstream sources
+  async scheduled(event, env, ctx) {
+    if (!env.TREND_HISTORY) {
+      console.warn('TREND_HISTORY is not bound, skipping scheduled refresh');
+      return;
+    }
+    ctx.waitUntil(refreshScheduledRegions(env));
+  }
+};
 
-      const response = new Response(JSON.stringify(responseData), {
-        headers: {
-          ...CORS_HEADERS,
-          'Content-Type': 'application/json',
-          'X-Cache': 'MISS',
-          'Cache-Control': `public, max-age=${env.CACHE_DURATION}`
-        }
-      });
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers }
+  });
+}
 
-      // Store in cache
-      const cacheResponse = new Response(JSON.stringify(responseData), {
-        headers: {
-          'Content-Type': 'application/json',
-          'Cache-Control': `public, max-age=${env.CACHE_DURATION}`
-        }
-      });
-      ctx.waitUntil(cache.put(cacheKey, cacheResponse));
+// Region of a request (?region=, DEFAULT_REGION when absent) as { region },
+// or { error } with a 400 response listing the supported regions
+function requestRegion(url) {
+  const code = url.searchParams.get('region') || DEFAULT_REGION;
+  const region = getRegion(code);
+  if (region) return { region };
 
-      return response;
+  return {
+    error: jsonResponse({
+      success: false,
+      error: `Unknown region "${code}"`,
+      regions: Object.fromEntries(Object.entries(REGIONS).map(([regionCode, r]) => [regionCode, r.name])),
+      trends: []
+    }, 400)
+  };
+}
 
-    } catch (error) {
-      console.error('Error:', error);
-      return new Response(JSON.stringify({
-        success: false,
-        error: error.message,
-        trends: []
-      }), {
-        status: 500,
-        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
-      });
-    }
+// GET /trends?region=US - the region's latest snapshot with its age in
+// seconds. A stale snapshot is still served immediately and refreshed in the
+// background; only an admin can force a synchronous rebuild with ?nocache=1.
+// ?profile= rescores it with another scoring profile. Irrelevant trends
+// (sports, elections, blocklisted terms; see relevance.js) are demoted or left
+// out unless ?include=all.
+async function handleTrends(request, url, env, ctx) {
+  const { region, error } = requestRegion(url);
+  if (error) return error;
+
+  const skipCache = url.searchParams.get('nocache') === '1';
+  if (skipCache && !(await isAdmin(request, env))) {
+    return jsonResponse({ success: false, error: 'nocache requires an admin token', trends: [] }, 403);
   }
-};
 
-// ========== TIKTOK FUNCTIONS ==========
+  const profileName = url.searchParams.get('profile');
+  if (profileName && !SCORING_PROFILES[profileName]) {
+    return jsonResponse({
+      success: false,
+      error: `Unknown scoring profile "${profileName}"`,
+      profiles: Object.fromEntries(Object.entries(SCORING_PROFILES).map(([name, p]) => [name, p.description])),
+      trends: []
+    }, 400);
+  }
+
+  const include = url.searchParams.get('include') || 'relevant';
+  if (include !== 'relevant' && include !== 'all') {
+    return jsonResponse({ success: false, error: `Unknown include "${include}", expected "relevant" or "all"`, trends: [] }, 400);
+  }
 
-async function fetchTikTokTrends(env) {
   try {
-    const apifyUrl = `https://api.apify.com/v2/acts/${env.ACTOR_ID}/runs/last/dataset/items?token=${env.APIFY_TOKEN}`;
-    const apifyResponse = await fetch(apifyUrl);
-
-    if (!apifyResponse.ok) {
-      if (apifyResponse.status === 404) {
-        console.log('No TikTok runs found, starting new run');
-        await startTikTokRun(env);
-        return [];
-      }
-      throw new Error(`TikTok API error: ${apifyResponse.status}`);
+    // Without KV there is nowhere to keep a snapshot; fall back to the edge cache
+    if (!env.TREND_HISTORY) {
+      return await handleTrendsFromCache(env, ctx, skipCache, profileName, include, region);
     }
 
-    const rawData = await apifyResponse.json();
-    if (!rawData || rawData.length === 0) {
-      return [];
+    if (!skipCache) {
+      const snapshot = await readSnapshot(env, region);
+      if (snapshot) {
+        const age = snapshotAge(snapshot);
+        const stale = age > Number(env.CACHE_DURATION);
+        if (stale) {
+          ctx.waitUntil(refreshInBackground(env, region));
+        }
+        return jsonResponse({ ...presentTrends(snapshot, profileName, include, env), age, stale }, 200, { 'X-Cache': stale ? 'STALE' : 'HIT' });
+      }
     }
 
-    return transformTikTokData(rawData);
+    // First request after deploy (or an admin refresh): build it now
+    console.log(`No ${region.code} snapshot, fetching from all sources`);
+    const snapshot = await refreshSnapshot(env, region);
+    const age = snapshotAge(snapshot);
+    return jsonResponse({ ...presentTrends(snapshot, profileName, include, env), age, stale: age > Number(env.CACHE_DURATION) }, 200, {
+      'X-Cache': 'MISS',
+      'Cache-Control': `public, max-age=${env.CACHE_DURATION}`
+    });
+
   } catch (error) {
-    console.error('TikTok fetch error:', error);
-    return [];
+    console.error('Error:', error);
+    return jsonResponse({
+      success: false,
+      error: error.message,
+      trends: []
+    }, 500);
   }
 }
 
-async function startTikTokRun(env) {
-  const runUrl = `https://api.apify.com/v2/acts/${env.ACTOR_ID}/runs?token=${env.APIFY_TOKEN}`;
-  await fetch(runUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(TIKTOK_SCRAPER_INPUT)
-  });
-}
+async function handleTrendsFromCache(env, ctx, skipCache, profileName, include, region) {
+  const cache = caches.default;
+  const cacheKey = new Request(`https://cache.local/meme-trends-v4/${region.code}`, { method: 'GET' });
 
-function transformTikTokData(data) {
-  let items = [];
+  if (!skipCache) {
+    let cachedResponse = await cache.match(cacheKey);
 
-  if (Array.isArray(data)) {
-    items = data;
-  } else if (data.hashtags) {
-    items = data.hashtags;
-  } else if (data.trends) {
-    items = data.trends;
+    if (cachedResponse) {
+      console.log('Returning cached data');
+      const data = await cachedResponse.json();
+      return jsonResponse({ ...presentTrends(data, profileName, include, env), age: snapshotAge(data) }, 200, { 'X-Cache': 'HIT' });
+    }
   }
 
-  return items.slice(0, 30).map((item, index) => {
-    const hashtag = item.name || item.hashtag || item.title || item.challengeName;
-    const cleanHashtag = hashtag.startsWith('#') ? hashtag : '#' + hashtag;
-    const videoCount = item.videoCount || 0;
-    const viewCount = item.viewCount || 0;
-
-    let growth5h = 0;
-    let growth24h = 0;
-    let growth7d = 0;
-
-    if (item.trendingHistogram && item.trendingHistogram.length > 0) {
-      const histogram = item.trendingHistogram;
-      const latest = histogram[histogram.length - 1]?.value || 0;
-      const oldest = histogram[0]?.value || 0;
+  console.log('Cache miss, fetching from all sources');
+  const responseData = await buildTrends(env, region);
 
-      if (oldest > 0) {
-        growth7d = Math.round(((latest - oldest) / oldest) * 100);
-      }
+  const response = jsonResponse({ ...presentTrends(responseData, profileName, include, env), age: 0 }, 200, {
+    'X-Cache': 'MISS',
+    'Cache-Control': `public, max-age=${env.CACHE_DURATION}`
+  });
 
-      if (item.rankDiff) {
-        growth24h = item.rankDiff * 10;
-        growth5h = Math.round(growth24h / 4);
-      }
+  // Store in cache
+  const cacheResponse = new Response(JSON.stringify(responseData), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `public, max-age=${env.CACHE_DURATION}`
     }
-
-    const description = item.industryName
-      ? `Trending in ${item.industryName}`
-      : `Trending ${cleanHashtag} on TikTok`;
-
-    const tagName = cleanHashtag.replace(/^#/, '').toLowerCase();
-
-    return {
-      hashtag: cleanHashtag,
-      views: viewCount || videoCount * 1000,
-      videoCount: videoCount,
-      growth5h: growth5h,
-      growth24h: growth24h,
-      growth7d: growth7d,
-      description: description,
-      keywords: [tagName],
-      rank: item.rank || index + 1,
-      rankDiff: item.rankDiff || 0,
-      industry: item.industryName || null,
-      url: item.url || `https://www.tiktok.com/tag/${tagName}`
-    };
   });
-}
+  ctx.waitUntil(cache.put(cacheKey, cacheResponse));
 
-// ========== GOOGLE TRENDS FUNCTIONS ==========
+  return response;
+}
 
-async function fetchGoogleTrends() {
-  try {
-    // Fetch daily trends from Google Trends RSS feed
-    const response = await fetch('https://trends.google.com/trending/rss?geo=US');
+// Admin requests carry "Authorization: Bearer <ADMIN_TOKEN>". With no
+// ADMIN_TOKEN secret set nobody is an admin.
+async function isAdmin(request, env) {
+  if (!env.ADMIN_TOKEN) return false;
+
+  const header = request.headers.get('Authorization') || '';
+  const token = header.replace(/^Bearer\s+/i, '');
+
+  // Compare digests so the check takes the same time for any token
+  const encoder = new TextEncoder();
+  const [given, expected] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(token)),
+    crypto.subtle.digest('SHA-256', encoder.encode(env.ADMIN_TOKEN))
+  ]);
+  return crypto.subtle.timingSafeEqual(given, expected);
+}
 
-    if (!response.ok) {
-      console.error('Google Trends RSS error:', response.status);
-      return [];
-    }
+// GET /health?region=US - status of every source as of the region's last
+// refresh, with the time each one last returned trends. 503 when no enabled
+// source is working.
+async function handleHealth(url, env) {
+  const { region, error } = requestRegion(url);
+  if (error) return error;
 
-    const text = await response.text();
+  if (!env.TREND_HISTORY) {
+    return jsonResponse({ success: false, error: 'Source health is not configured' }, 503);
+  }
 
-    // Parse RSS XML manually (Cloudflare Workers don't have DOMParser)
-    const items = [];
-    const itemRegex = /<item>([\s\S]*?)<\/item>/g;
-    let match;
+  const stored = await readSourceHealth(env, region);
+  const enabled = Object.values(stored.sources).filter(s => s.status !== 'disabled');
+  const working = enabled.filter(s => s.status === 'ok' || s.status === 'degraded');
 
-    while ((match = itemRegex.exec(text)) !== null && items.length < 30) {
-      const itemXml = match[1];
+  let status = 'ok';
+  if (!stored.updatedAt || working.length === 0) {
+    status = 'down';
+  } else if (working.length < enabled.length || working.some(s => s.status === 'degraded')) {
+    status = 'degraded';
+  }
 
-      // Extract title
-      const titleMatch = itemXml.match(/<title>([^<]*)<\/title>/);
-      const title = titleMatch ? titleMatch[1].trim() : '';
+  return jsonResponse({
+    success: true,
+    status,
+    region: region.code,
+    updatedAt: stored.updatedAt,
+    sources: stored.sources
+  }, status === 'down' ? 503 : 200);
+}
 
-      if (!title) continue;
+// GET /trends/new?hours=6&region=US - trends first seen in the last N hours
+// that are still on the list, newest first
+async function handleNewTrends(url, env) {
+  const { region, error } = requestRegion(url);
+  if (error) return error;
 
-      // Extract traffic estimate
-      const trafficMatch = itemXml.match(/<ht:approx_traffic>([^<]*)<\/ht:approx_traffic>/);
-      const traffic = trafficMatch ? trafficMatch[1] : '1K+';
+  if (!env.TREND_HISTORY) {
+    return jsonResponse({ success: false, error: 'Trend history is not configured', trends: [] }, 503);
+  }
 
-      // Parse traffic string to number
-      let viewCount = 0;
-      const trafficNumMatch = traffic.match(/(\d+)(K|M|B)?/i);
-      if (trafficNumMatch) {
-        viewCount = parseInt(trafficNumMatch[1]);
-        if (trafficNumMatch[2]) {
-          const multiplier = { 'K': 1000, 'M': 1000000, 'B': 1000000000 };
-          viewCount *= multiplier[trafficNumMatch[2].toUpperCase()] || 1;
-        }
-      }
+  const hours = Math.max(1, parseFloat(url.searchParams.get('hours')) || NEW_TREND_HOURS);
+  const store = await readHistory(env, region);
+  const cutoff = Date.now() - hours * 3600000;
+
+  const trends = Object.entries(store.trends)
+    .filter(([, entry]) => entry.lastSeen === store.updatedAt && Date.parse(entry.firstSeen) >= cutoff)
+    .map(([name, entry]) => summarizeHistory(name, entry, store.updatedAt))
+    .sort((a, b) => b.firstSeen.localeCompare(a.firstSeen) || a.rank - b.rank);
+
+  return jsonResponse({
+    success: true,
+    region: region.code,
+    hours,
+    trends,
+    count: trends.length,
+    updatedAt: store.updatedAt
+  });
+}
 
-      // Extract news item title for description
-      const newsMatch = itemXml.match(/<ht:news_item_title>([^<]*)<\/ht:news_item_title>/);
-      const newsTitle = newsMatch ? newsMatch[1].replace(/&apos;/g, "'").replace(/&quot;/g, '"').replace(/&amp;/g, '&') : '';
-
-      // Extract news URL
-      const newsUrlMatch = itemXml.match(/<ht:news_item_url>([^<]*)<\/ht:news_item_url>/);
-      const newsUrl = newsUrlMatch ? newsUrlMatch[1] : '';
-
-      // Extract news source
-      const newsSourceMatch = itemXml.match(/<ht:news_item_source>([^<]*)<\/ht:news_item_source>/);
-      const newsSource = newsSourceMatch ? newsSourceMatch[1] : '';
-
-      const description = newsTitle || `Trending on Google: ${title}`;
-      const keywords = title.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-
-      items.push({
-        hashtag: `#${title.replace(/\s+/g, '').toLowerCase()}`,
-        displayName: title,
-        views: viewCount,
-        videoCount: 0,
-        growth5h: 0,
-        growth24h: Math.min(500, Math.floor(viewCount / 1000) + 50), // Estimate based on traffic
-        growth7d: 0,
-        description: description,
-        keywords: keywords.slice(0, 5),
-        rank: items.length + 1,
-        rankDiff: 0,
-        industry: null,
-        url: `https://trends.google.com/trends/explore?q=${encodeURIComponent(title)}&geo=US`,
-        articles: newsTitle ? [{
-          title: newsTitle,
-          url: newsUrl,
-          source: newsSource
-        }] : []
-      });
-    }
+// GET /trends/history/:name?region=US - every recorded snapshot point for
+// one trend
+async function handleTrendHistory(url, env) {
+  const { region, error } = requestRegion(url);
+  if (error) return error;
 
-    console.log(`Parsed ${items.length} Google Trends from RSS`);
-    return items;
-  } catch (error) {
-    console.error('Google Trends fetch error:', error);
-    return [];
+  if (!env.TREND_HISTORY) {
+    return jsonResponse({ success: false, error: 'Trend history is not configured' }, 503);
   }
-}
 
-// ========== REDDIT FUNCTIONS ==========
-
-async function fetchRedditTrends() {
+  let rawName;
   try {
-    // Fetch hot posts from multiple subreddits in parallel
-    const subredditResults = await Promise.all(
-      REDDIT_SUBREDDITS.map(sub => fetchSubredditPosts(sub))
-    );
-
-    // Flatten and combine results
-    const allPosts = subredditResults.flat();
-
-    // Group by title/topic to find cross-posted trends
-    const trendMap = new Map();
-
-    for (const post of allPosts) {
-      // Normalize the title for grouping
-      const normalizedTitle = normalizeRedditTitle(post.title);
-
-      if (trendMap.has(normalizedTitle)) {
-        const existing = trendMap.get(normalizedTitle);
-        existing.score += post.score;
-        existing.numComments += post.numComments;
-        existing.subreddits.push(post.subreddit);
-        if (post.score > existing.topPost.score) {
-          existing.topPost = post;
-        }
-      } else {
-        trendMap.set(normalizedTitle, {
-          title: post.title,
-          normalizedTitle: normalizedTitle,
-          score: post.score,
-          numComments: post.numComments,
-          subreddits: [post.subreddit],
-          topPost: post,
-          createdUtc: post.createdUtc
-        });
-      }
-    }
+    rawName = decodeURIComponent(url.pathname.slice('/trends/history/'.length));
+  } catch {
+    return jsonResponse({ success: false, error: 'Malformed trend name in path' }, 400);
+  }
 
-    // Convert to array and sort by combined score
-    const trends = Array.from(trendMap.values())
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 20)
-      .map((trend, index) => {
-        const post = trend.topPost;
-
-        // Extract keywords from title
-        const keywords = extractKeywords(trend.title);
-
-        // Calculate growth estimate based on score and age
-        const ageHours = (Date.now() / 1000 - trend.createdUtc) / 3600;
-        const scorePerHour = trend.score / Math.max(1, ageHours);
-        const growth24h = Math.min(1000, Math.round(scorePerHour * 10));
-        // Estimate 7d growth based on rank position and activity
-        const growth7d = Math.min(2000, Math.round(growth24h * (1 + (20 - index) * 0.1)));
-
-        return {
-          hashtag: `#${trend.normalizedTitle}`,
-          displayName: trend.title.slice(0, 50) + (trend.title.length > 50 ? '...' : ''),
-          views: trend.score * 100, // Rough estimate: 100 views per upvote
-          videoCount: trend.numComments,
-          growth5h: Math.round(growth24h / 4),
-          growth24h: growth24h,
-          growth7d: growth7d,
-          description: `Trending on r/${trend.subreddits.join(', r/')} with ${trend.score.toLocaleString()} upvotes`,
-          keywords: keywords,
-          rank: index + 1,
-          rankDiff: 0,
-          industry: null,
-          url: `https://reddit.com${post.permalink}`,
-          subreddits: trend.subreddits,
-          redditScore: trend.score,
-          numComments: trend.numComments
-        };
-      });
+  // Same normalization as normalizeTrend, so "#MooDeng" and "moodeng" match
+  const name = normalizeName(rawName);
 
-    console.log(`Parsed ${trends.length} Reddit trends from ${REDDIT_SUBREDDITS.length} subreddits`);
-    return trends;
-  } catch (error) {
-    console.error('Reddit fetch error:', error);
-    return [];
+  const store = await readHistory(env, region);
+  const entry = store.trends[name];
+  if (!entry) {
+    return jsonResponse({ success: false, error: `No history for "${name}"` }, 404);
   }
+
+  return jsonResponse({
+    success: true,
+    region: region.code,
+    ...summarizeHistory(name, entry, store.updatedAt),
+    points: entry.points
+  });
 }
 
-async function fetchSubredditPosts(subreddit) {
-  try {
-    // Use Reddit's JSON API (no auth needed for public data)
-    const url = `https://www.reddit.com/r/${subreddit}/hot.json?limit=25`;
+// GET /tickers?region=US - cashtags and token symbols by how many fetched
+// texts mention them, with the count per source, the change since the
+// previous refresh and sample links
+async function handleTickers(url, env) {
+  const { region, error } = requestRegion(url);
+  if (error) return error;
 
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'MemeAggregator/1.0'
-      }
-    });
+  if (!env.TREND_HISTORY) {
+    return jsonResponse({ success: false, error: 'Ticker mentions are not configured', tickers: [] }, 503);
+  }
 
-    if (!response.ok) {
-      console.error(`Reddit API error for r/${subreddit}:`, response.status);
-      return [];
-    }
+  const stored = await readMentions(env, region);
+  const previousCounts = stored.previous?.counts;
 
-    const data = await response.json();
+  const tickers = Object.entries(stored.tickers)
+    .map(([symbol, entry]) => {
+      const previous = previousCounts ? previousCounts[symbol] || 0 : null;
+      return {
+        symbol,
+        mentions: entry.mentions,
+        sources: entry.sources,
+        previous,
+        change: previous === null ? null : entry.mentions - previous,
+        isNew: previous === 0,
+        samples: entry.samples
+      };
+    })
+    .sort((a, b) => b.mentions - a.mentions || (b.change ?? 0) - (a.change ?? 0));
+
+  return jsonResponse({
+    success: true,
+    region: region.code,
+    tickers,
+    count: tickers.length,
+    updatedAt: stored.updatedAt,
+    previousAt: stored.previous?.updatedAt ?? null
+  });
+}
 
-    if (!data.data?.children) {
-      return [];
-    }
+// GET /categories?region=US&include=relevant - how many trends of the latest
+// snapshot carry each category label, how many have it as their top label,
+// and the top trends. Counts the trends /trends would serve with the same
+// ?include=.
+async function handleCategories(url, env) {
+  const { region, error } = requestRegion(url);
+  if (error) return error;
+
+  const include = url.searchParams.get('include') || 'relevant';
+  if (include !== 'relevant' && include !== 'all') {
+    return jsonResponse({ success: false, error: `Unknown include "${include}", expected "relevant" or "all"`, categories: [] }, 400);
+  }
 
-    return data.data.children
-      .filter(child => child.kind === 't3') // Only posts (t3)
-      .map(child => child.data)
-      .filter(post => {
-        // Filter out stickied posts and very low score posts
-        if (post.stickied) return false;
-        if (post.score < 100) return false;
-        return true;
-      })
-      .map(post => ({
-        title: post.title,
-        score: post.score,
-        numComments: post.num_comments,
-        subreddit: post.subreddit,
-        permalink: post.permalink,
-        createdUtc: post.created_utc,
-        url: post.url,
-        isVideo: post.is_video,
-        thumbnail: post.thumbnail
-      }));
-  } catch (error) {
-    console.error(`Error fetching r/${subreddit}:`, error);
-    return [];
+  if (!env.TREND_HISTORY) {
+    return jsonResponse({ success: false, error: 'Trend snapshots are not configured', categories: [] }, 503);
   }
-}
 
-function normalizeRedditTitle(title) {
-  // Extract the main topic from a Reddit title
-  return title
-    .toLowerCase()
-    .replace(/[^\w\s]/g, '') // Remove punctuation
-    .replace(/\s+/g, '')     // Remove spaces
-    .slice(0, 30);           // Limit length for grouping
-}
+  const snapshot = await readSnapshot(env, region);
+  const trends = snapshot ? (include === 'all' ? snapshot.trends : filterTrends(snapshot.trends)) : [];
 
-function extractKeywords(title) {
-  // Extract meaningful keywords from Reddit title
-  const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'what', 'which', 'who', 'whom', 'when', 'where', 'why', 'how', 'all', 'each', 'every', 'both', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very', 'just', 'also', 'now', 'here', 'there', 'then', 'once', 'if', 'me', 'im', 'ive', 'dont', 'cant', 'wont', 'isnt', 'arent', 'wasnt', 'werent', 'hasnt', 'havent', 'hadnt', 'doesnt', 'didnt', 'wouldnt', 'couldnt', 'shouldnt', 'mustnt', 'lets', 'thats', 'whos', 'whats', 'heres', 'theres', 'wheres', 'whens', 'whys', 'hows', 'because', 'as', 'until', 'while', 'although', 'though', 'after', 'before', 'when', 'whenever', 'where', 'wherever', 'whether', 'however', 'therefore', 'otherwise']);
+  // Every taxonomy category is listed, with 0 when no trend has it
+  const counts = new Map(Object.keys(taxonomyConfig(env)).map(name => [name, { count: 0, primary: 0, confidence: 0, trends: [] }]));
+  for (const trend of trends) {
+    for (const label of trend.categories || []) {
+      if (!counts.has(label.name)) counts.set(label.name, { count: 0, primary: 0, confidence: 0, trends: [] });
+
+      const entry = counts.get(label.name);
+      entry.count++;
+      entry.confidence += label.confidence;
+      if (label.name === trend.category) entry.primary++;
+      if (entry.trends.length < 5) entry.trends.push({ name: trend.name, displayName: trend.displayName, confidence: label.confidence });
+    }
+  }
 
-  return title
-    .toLowerCase()
-    .replace(/[^\w\s]/g, '')
-    .split(/\s+/)
-    .filter(word => word.length > 2 && !stopWords.has(word))
-    .slice(0, 5);
+  const categories = Array.from(counts.entries())
+    .map(([name, entry]) => ({
+      name,
+      count: entry.count,
+      primary: entry.primary,
+      averageConfidence: entry.count > 0 ? Math.round(entry.confidence / entry.count * 100) / 100 : null,
+      trends: entry.trends
+    }))
+    .sort((a, b) => b.count - a.count || b.primary - a.primary || a.name.localeCompare(b.name));
+
+  return jsonResponse({
+    success: true,
+    region: region.code,
+    include,
+    categories,
+    total: trends.length,
+    uncategorized: trends.filter(trend => !trend.categories?.length).length,
+    updatedAt: snapshot?.timestamp ?? null
+  });
 }
 
-// ========== TWITTER/X FUNCTIONS ==========
+// GET /trends/regions - trends on the lists of more than one region, from
+// each region's latest snapshot, most widespread first. Only region-specific
+// sources count: a Reddit post on every list says nothing about spread.
+async function handleRegionSpread(env) {
+  if (!env.TREND_HISTORY) {
+    return jsonResponse({ success: false, error: 'Region snapshots are not configured', trends: [] }, 503);
+  }
+
+  const regionalSources = new Set(resolveSources(env).filter(source => source.regional).map(source => source.id));
+  const regions = Object.keys(REGIONS).map(code => getRegion(code));
+  const snapshots = await Promise.all(regions.map(region => readSnapshot(env, region)));
 
-async function fetchTwitterTrends() {
-  try {
-    // Scrape trends from trends24.in (aggregates Twitter/X trending topics)
-    const response = await fetch('https://trends24.in/united-states/', {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; MemeAggregator/1.0)'
+  const spread = new Map();
+  regions.forEach((region, i) => {
+    (snapshots[i]?.trends || []).forEach((trend, index) => {
+      if (!trend.sources.some(source => regionalSources.has(source))) return;
+
+      if (!spread.has(trend.name)) {
+        spread.set(trend.name, { name: trend.name, displayName: trend.displayName, regions: {} });
       }
+      spread.get(trend.name).regions[region.code] = {
+        rank: trend.listRank || index + 1,
+        score: trend.aggregateScore,
+        firstSeen: trend.firstSeen
+      };
     });
+  });
 
-    if (!response.ok) {
-      console.error('Trends24 error:', response.status);
-      return [];
-    }
+  const trends = Array.from(spread.values())
+    .filter(trend => Object.keys(trend.regions).length > 1)
+    .map(trend => {
+      // Regions in the order the trend showed up there
+      const order = Object.entries(trend.regions)
+        .sort((a, b) => String(a[1].firstSeen).localeCompare(String(b[1].firstSeen)))
+        .map(([code]) => code);
+      return {
+        ...trend,
+        regionCount: order.length,
+        firstRegion: order[0],
+        spreadOrder: order,
+        totalScore: Object.values(trend.regions).reduce((sum, r) => sum + r.score, 0)
+      };
+    })
+    .sort((a, b) => b.regionCount - a.regionCount || b.totalScore - a.totalScore);
+
+  return jsonResponse({
+    success: true,
+    trends,
+    count: trends.length,
+    regions: Object.fromEntries(regions.map((region, i) => [region.code, snapshots[i]
+      ? { name: region.name, timestamp: snapshots[i].timestamp, count: snapshots[i].count }
+      : null
+    ]))
+  });
+}
 
-    const html = await response.text();
+// ========== AGGREGATION & SNAPSHOT FUNCTIONS ==========
 
-    // Parse trend links from HTML
-    // Format: <a href="https://twitter.com/search?q=TREND" class=trend-link>TREND</a>
-    const trendRegex = /<a\s+href="https:\/\/twitter\.com\/search\?q=([^"]+)"\s+class=trend-link>([^<]+)<\/a>/g;
-    const trends = new Map(); // Use Map to dedupe
+// Fetch every enabled source for the region, merge, score and enrich.
+// Returns the /trends response body.
+async function buildTrends(env, region) {
+  // Fetch from every enabled source in parallel
+  const allSources = resolveSources(env);
+  const sources = allSources.filter(source => source.enabled && coversRegion(source, region));
+  const results = await Promise.all(sources.map(source => runSource(source, env, region)));
 
-    let match;
-    while ((match = trendRegex.exec(html)) !== null) {
-      const encodedQuery = match[1];
-      const trendName = match[2].trim();
+  // Normalize with each source's own scoring, then merge using its weight.
+  // Names made only of punctuation have no key and are dropped.
+  const normalized = sources.map((source, i) => results[i].trends
+    .map(t => normalizeTrend(t, source))
+    .filter(t => t.name));
+  const weights = Object.fromEntries(sources.map(source => [source.id, source.weight]));
 
-      // Skip if already seen (trends24 shows multiple time periods)
-      if (trends.has(trendName.toLowerCase())) continue;
+  // Merge and score all trends
+  const profileName = snapshotProfile(env);
+  let aggregatedTrends = mergeAndScore(normalized.flat(), weights, profileName, taxonomyConfig(env));
 
-      // Decode URL-encoded query
-      const decodedQuery = decodeURIComponent(encodedQuery);
+  // Enrich top trends with Know Your Meme data (optional enhancement)
+  aggregatedTrends = await enrichWithKnowYourMeme(aggregatedTrends, env);
 
-      // Determine if it's a hashtag, cashtag, or regular trend
-      const isHashtag = trendName.startsWith('#');
-      const isCashtag = trendName.startsWith('$');
+  // Attach matching DexScreener tokens (and whether there is one yet)
+  aggregatedTrends = await matchTokens(aggregatedTrends, env);
 
-      trends.set(trendName.toLowerCase(), {
-        name: trendName,
-        query: decodedQuery,
-        isHashtag,
-        isCashtag
-      });
+  // Final scores, now that Know Your Meme status and token matches are known
+  aggregatedTrends = scoreTrends(aggregatedTrends, weights, profileName);
 
-      // Limit to top 30 unique trends
-      if (trends.size >= 30) break;
-    }
+  // Mark sports, elections, obituaries and blocklisted trends; they are
+  // demoted or dropped when served
+  aggregatedTrends = classifyTrends(aggregatedTrends, relevanceConfig(env));
 
-    // Convert to array and format
-    const trendArray = Array.from(trends.values()).map((trend, index) => {
-      const cleanName = trend.name.replace(/^[#$]/, '').toLowerCase();
-      const keywords = cleanName.split(/\s+/).filter(w => w.length > 2);
+  // Compare with earlier snapshots: first seen, rank movement, score deltas
+  const timestamp = new Date().toISOString();
+  await recordHistory(env, region, aggregatedTrends, timestamp);
 
-      // Estimate growth based on rank position (higher rank = more recent/active)
-      const growth24h = Math.max(100, 250 - index * 6);
-      const growth5h = Math.round(growth24h / 3);
-      const growth7d = Math.round(growth24h * 1.5);
+  // Count cashtags and token symbols in everything the sources fetched
+  const mentions = countMentions(sources.map((source, i) => [source.id, results[i].texts]), knownSymbols(aggregatedTrends));
+  if (results.some(result => result.texts.length > 0)) {
+    await recordMentions(env, region, mentions, timestamp);
+  }
 
-      return {
-        hashtag: trend.isHashtag ? trend.name : `#${cleanName.replace(/\s+/g, '')}`,
-        displayName: trend.name,
-        views: 0, // Twitter doesn't provide view counts via this method
-        videoCount: 0,
-        growth5h: growth5h,
-        growth24h: growth24h,
-        growth7d: growth7d,
-        description: `Trending on X: ${trend.name}`,
-        keywords: keywords.length > 0 ? keywords : [cleanName],
-        rank: index + 1,
-        rankDiff: 0,
-        industry: null,
-        url: `https://twitter.com/search?q=${encodeURIComponent(trend.query)}`,
-        isHashtag: trend.isHashtag,
-        isCashtag: trend.isCashtag
-      };
-    });
+  // Per-source status, so missing sources are reported rather than hidden
+  const statuses = Object.fromEntries(allSources.map(source => {
+    const index = sources.indexOf(source);
+    if (index !== -1) return [source.id, results[index].status];
+    const missing = missingRequirements(source, env);
+    if (source.enabled) return [source.id, disabledStatus(`Not available in ${region.code}`)];
+    return [source.id, disabledStatus(missing.length > 0 ? `${missing.join(', ')} not set` : null)];
+  }));
+  const sourceStatus = await recordSourceHealth(env, region, statuses, timestamp);
 
-    console.log(`Parsed ${trendArray.length} Twitter trends from trends24.in`);
-    return trendArray;
-  } catch (error) {
-    console.error('Twitter trends fetch error:', error);
-    return [];
-  }
+  return {
+    success: true,
+    region: region.code,
+    trends: aggregatedTrends,
+    count: aggregatedTrends.length,
+    sources: Object.fromEntries(sources.map((source, i) => [source.id, normalized[i].length])),
+    sourceStatus: sourceStatus,
+    profile: profileName,
+    timestamp: timestamp
+  };
 }
 
-// ========== 4CHAN FUNCTIONS ==========
-
-// Boards to monitor for meme/crypto trends
-const CHAN_BOARDS = ['biz']; // /biz/ - Business & Finance (crypto discussion)
+// Profile the snapshot is scored with (SCORING_PROFILE var, else the default)
+function snapshotProfile(env) {
+  return SCORING_PROFILES[env.SCORING_PROFILE] ? env.SCORING_PROFILE : DEFAULT_PROFILE;
+}
 
-async function fetch4chanTrends() {
-  try {
-    const allThreads = [];
+// Rescore a /trends body with another profile (?profile=)
+function applyProfile(data, profileName, env) {
+  if (!profileName || profileName === data.profile) return data;
 
-    // Fetch catalog from each board
-    for (const board of CHAN_BOARDS) {
-      const threads = await fetchBoardCatalog(board);
-      allThreads.push(...threads);
-    }
+  const weights = Object.fromEntries(resolveSources(env).map(source => [source.id, source.weight]));
+  const trends = scoreTrends(data.trends.map(trend => ({ ...trend })), weights, profileName);
+  return { ...data, trends, profile: profileName };
+}
 
-    // Sort by reply count (most active threads)
-    allThreads.sort((a, b) => b.replies - a.replies);
+// A stored /trends body as requested: rescored with ?profile=, filtered with
+// ?include=
+function presentTrends(data, profileName, include, env) {
+  return applyRelevance(applyProfile(data, profileName, env), include);
+}
 
-    // Take top 20 most active threads
-    const topThreads = allThreads.slice(0, 20);
+// Serve only relevant trends, demoted ones last (?include=relevant), or every
+// trend in score order (?include=all). Either way filtered counts them.
+function applyRelevance(data, include) {
+  const filtered = {
+    demoted: data.trends.filter(trend => trend.relevance === 'demoted').length,
+    dropped: data.trends.filter(trend => trend.relevance === 'dropped').length
+  };
+  if (include === 'all') return { ...data, include, filtered };
 
-    // Convert to trend format
-    const trends = topThreads.map((thread, index) => {
-      // Extract topic from subject or first part of comment
-      const topic = thread.sub || extractTopicFromComment(thread.com) || `Thread ${thread.no}`;
-      const cleanTopic = topic.replace(/<[^>]*>/g, '').trim(); // Remove HTML tags
+  const trends = filterTrends(data.trends);
+  return { ...data, trends, count: trends.length, include, filtered };
+}
 
-      // Extract keywords
-      const keywords = cleanTopic
-        .toLowerCase()
-        .replace(/[^\w\s]/g, '')
-        .split(/\s+/)
-        .filter(w => w.length > 2)
-        .slice(0, 5);
+async function readSnapshot(env, region) {
+  return env.TREND_HISTORY.get(regionKey(SNAPSHOT_KEY, region), 'json');
+}
 
-      return {
-        hashtag: `#${cleanTopic.replace(/\s+/g, '').toLowerCase().slice(0, 30)}`,
-        displayName: cleanTopic.slice(0, 50) + (cleanTopic.length > 50 ? '...' : ''),
-        views: thread.replies * 50, // Estimate: 50 views per reply
-        videoCount: thread.images || 0,
-        growth5h: 0,
-        growth24h: Math.min(500, thread.replies * 2), // Estimate growth from activity
-        growth7d: 0,
-        description: `Active thread on /biz/ with ${thread.replies} replies`,
-        keywords: keywords.length > 0 ? keywords : ['4chan', 'biz'],
-        rank: index + 1,
-        rankDiff: 0,
-        industry: 'crypto',
-        url: `https://boards.4channel.org/${thread.board}/thread/${thread.no}`,
-        chanReplies: thread.replies,
-        chanImages: thread.images || 0,
-        board: thread.board
-      };
-    });
+// Seconds since the snapshot's trends were fetched
+function snapshotAge(snapshot) {
+  return Math.max(0, Math.round((Date.now() - Date.parse(snapshot.timestamp)) / 1000));
+}
 
-    console.log(`Parsed ${trends.length} 4chan trends from ${CHAN_BOARDS.length} boards`);
-    return trends;
-  } catch (error) {
-    console.error('4chan fetch error:', error);
-    return [];
+// Rebuild and store the snapshot. When every source comes back empty the
+// previous trends are kept (with their original timestamp, so their age keeps
+// growing) and only the source status is updated.
+async function refreshSnapshot(env, region) {
+  const fresh = await buildTrends(env, region);
+  let snapshot = fresh;
+
+  if (fresh.count === 0) {
+    const previous = await readSnapshot(env, region);
+    if (previous?.count > 0) {
+      console.warn('Every source came back empty, keeping the previous snapshot');
+      snapshot = { ...previous, sourceStatus: fresh.sourceStatus };
+    }
   }
-}
 
-async function fetchBoardCatalog(board) {
-  try {
-    // Use codetabs proxy to bypass 4chan blocking Cloudflare Workers
-    const directUrl = `https://a.4cdn.org/${board}/catalog.json`;
-    const proxyUrl = `https://api.codetabs.com/v1/proxy/?quest=${encodeURIComponent(directUrl)}`;
+  snapshot.checkedAt = fresh.timestamp;
+  await env.TREND_HISTORY.put(regionKey(SNAPSHOT_KEY, region), JSON.stringify(snapshot));
+  return snapshot;
+}
 
-    const response = await fetch(proxyUrl);
+// Regions rebuilt by the cron trigger: SCHEDULED_REGIONS ("US,GB,JP"),
+// default DEFAULT_REGION. Other regions are built on their first request
+// and refreshed in the background when stale.
+function scheduledRegions(env) {
+  const codes = (env.SCHEDULED_REGIONS || DEFAULT_REGION).split(',').map(code => code.trim()).filter(Boolean);
+  return codes.map(code => getRegion(code)).filter(Boolean);
+}
 
-    if (!response.ok) {
-      console.log(`4chan proxy returned ${response.status} for /${board}/`);
-      return [];
+// One region at a time, so a cron run doesn't multiply upstream load
+async function refreshScheduledRegions(env) {
+  for (const region of scheduledRegions(env)) {
+    try {
+      await refreshSnapshot(env, region);
+    } catch (error) {
+      console.error(`Scheduled refresh error (${region.code}):`, error);
     }
+  }
+}
 
-    const pages = await response.json();
+// One background refresh per region and isolate at a time, however many
+// requests see a stale snapshot
+const backgroundRefreshes = new Map();
 
-    // Flatten all threads from all pages
-    const threads = [];
-    for (const page of pages) {
-      for (const thread of page.threads) {
-        threads.push({
-          ...thread,
-          board: board
-        });
-      }
-    }
-
-    return threads;
-  } catch (error) {
-    console.error(`Error fetching /${board}/:`, error);
-    return [];
+function refreshInBackground(env, region) {
+  if (!backgroundRefreshes.has(region.code)) {
+    backgroundRefreshes.set(region.code, refreshSnapshot(env, region)
+      .catch(error => console.error(`Background refresh error (${region.code}):`, error))
+      .finally(() => { backgroundRefreshes.delete(region.code); }));
   }
+  return backgroundRefreshes.get(region.code);
 }
 
-function extractTopicFromComment(comment) {
-  if (!comment) return null;
+// ========== SOURCE HEALTH FUNCTIONS ==========
 
-  // Remove HTML tags and get first line
-  const text = comment
-    .replace(/<br\s*\/?>/gi, ' ')
-    .replace(/<[^>]*>/g, '')
-    .replace(/&gt;/g, '>')
-    .replace(/&lt;/g, '<')
-    .replace(/&amp;/g, '&')
-    .replace(/&quot;/g, '"')
-    .trim();
-
-  // Get first sentence or first 50 chars
-  const firstSentence = text.split(/[.!?]/)[0];
-  return firstSentence.slice(0, 50);
+// reason: why the source was skipped, e.g. not covering the region or a
+// missing API key
+function disabledStatus(reason = null) {
+  return { status: 'disabled', httpStatus: null, latencyMs: 0, items: 0, error: reason };
 }
 
-// ========== KNOW YOUR MEME FUNCTIONS ==========
-
-async function enrichWithKnowYourMeme(trends) {
-  // Enrich top trends with Know Your Meme data
-  // Only check top 10 to avoid rate limiting
-  const enrichedTrends = [...trends];
+async function readSourceHealth(env, region) {
+  const stored = await env.TREND_HISTORY.get(regionKey(SOURCE_HEALTH_KEY, region), 'json');
+  return stored || { updatedAt: null, sources: {} };
+}
 
-  for (let i = 0; i < Math.min(10, enrichedTrends.length); i++) {
-    const trend = enrichedTrends[i];
-    const memeData = await checkKnowYourMeme(trend.name || trend.displayName);
+// Add lastSuccess (last refresh in which the source returned trends) to each
+// status and store them for /health. Without the KV binding lastSuccess is
+// only known for sources that worked this time.
+async function recordSourceHealth(env, region, statuses, timestamp) {
+  let previous = { sources: {} };
+  if (env.TREND_HISTORY) {
+    try {
+      previous = await readSourceHealth(env, region);
+    } catch (error) {
+      console.error('Source health read error:', error);
+    }
+  }
 
-    if (memeData) {
-      trend.memeStatus = memeData.status;
-      trend.memeOrigin = memeData.origin;
-      trend.memeYear = memeData.year;
+  const sources = {};
+  for (const [id, status] of Object.entries(statuses)) {
+    const working = status.status === 'ok' || status.status === 'degraded';
+    sources[id] = {
+      ...status,
+      lastSuccess: working ? timestamp : previous.sources[id]?.lastSuccess ?? null
+    };
+  }
 
-      // Boost score for confirmed memes
-      if (memeData.status === 'confirmed') {
-        trend.aggregateScore = Math.min(100, trend.aggregateScore * 1.2);
-      }
+  if (env.TREND_HISTORY) {
+    try {
+      await env.TREND_HISTORY.put(regionKey(SOURCE_HEALTH_KEY, region), JSON.stringify({ updatedAt: timestamp, sources }));
+    } catch (error) {
+      console.error('Source health write error:', error);
     }
   }
+  return sources;
+}
 
-  return enrichedTrends;
+// ========== HISTORY FUNCTIONS ==========
+
+async function readHistory(env, region) {
+  const stored = await env.TREND_HISTORY.get(regionKey(HISTORY_KEY, region), 'json');
+  return stored || { updatedAt: null, trends: {} };
 }
 
-async function checkKnowYourMeme(term) {
+// Annotate trends with history fields and store this snapshot. Without the
+// KV binding the trends are returned as-is.
+async function recordHistory(env, region, trends, timestamp) {
+  if (!env.TREND_HISTORY) return trends;
+
   try {
-    // Search Know Your Meme
-    const searchTerm = term.replace(/^#/, '').replace(/[^\w\s]/g, '');
-    const url = `https://knowyourmeme.com/search?q=${encodeURIComponent(searchTerm)}`;
+    const store = await readHistory(env, region);
+    applyHistory(store, trends, timestamp);
+    await env.TREND_HISTORY.put(regionKey(HISTORY_KEY, region), JSON.stringify(store));
+  } catch (error) {
+    // History is an enhancement; never fail the trends response over it
+    console.error('Trend history error:', error);
+  }
+  return trends;
+}
 
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; MemeAggregator/1.0)'
-      }
-    });
+// Pure part of recordHistory: mutates both the store and the trends.
+// Adds to each trend:
+//   firstSeen     ISO timestamp of the first snapshot the trend appeared in
+//   onListSince   start of the current uninterrupted run on the list
+//   hoursOnList   hours since onListSince
+//   isNew         first seen within NEW_TREND_HOURS
+//   listRank      position in this snapshot (1 = top)
+//   previousRank  position in the previous snapshot it appeared in (null if new)
+//   rankChange    previousRank - listRank, positive = moved up
+//   scoreDelta    aggregateScore change since that snapshot
+//   scoreVelocity aggregateScore change per hour over VELOCITY_WINDOW_HOURS
+function applyHistory(store, trends, timestamp) {
+  const now = Date.parse(timestamp);
+
+  trends.forEach((trend, index) => {
+    const rank = index + 1;
+    const entry = store.trends[trend.name];
+    const previous = entry?.points[entry.points.length - 1];
+
+    let onListSince = timestamp;
+    if (entry && now - Date.parse(entry.lastSeen) <= LIST_GAP_HOURS * 3600000) {
+      onListSince = entry.onListSince;
+    }
 
-    if (!response.ok) {
-      return null;
+    // Oldest point inside the velocity window, to measure the trend's slope
+    const windowStart = now - VELOCITY_WINDOW_HOURS * 3600000;
+    const baseline = entry?.points.find(p => Date.parse(p.t) >= windowStart);
+    const baselineHours = baseline ? (now - Date.parse(baseline.t)) / 3600000 : 0;
+
+    trend.firstSeen = entry?.firstSeen || timestamp;
+    trend.onListSince = onListSince;
+    trend.hoursOnList = Math.round((now - Date.parse(onListSince)) / 360000) / 10;
+    trend.isNew = now - Date.parse(trend.firstSeen) <= NEW_TREND_HOURS * 3600000;
+    trend.listRank = rank;
+    trend.previousRank = previous ? previous.rank : null;
+    trend.rankChange = previous ? previous.rank - rank : null;
+    trend.scoreDelta = previous ? trend.aggregateScore - previous.score : null;
+    trend.scoreVelocity = baselineHours > 0
+      ? Math.round((trend.aggregateScore - baseline.score) / baselineHours * 10) / 10
+      : null;
+
+    // Sources other than TikTok don't report rank movement themselves
+    if (!trend.rankDiff && trend.rankChange !== null) {
+      trend.rankDiff = trend.rankChange;
     }
 
-    const html = await response.text();
+    const points = [...(entry?.points || []), { t: timestamp, rank, score: trend.aggregateScore }];
+    store.trends[trend.name] = {
+      displayName: trend.displayName,
+      firstSeen: trend.firstSeen,
+      lastSeen: timestamp,
+      onListSince,
+      points: points.slice(-HISTORY_MAX_POINTS)
+    };
+  });
+
+  // Forget trends that have been gone for longer than the retention period
+  const retentionCutoff = now - HISTORY_RETENTION_DAYS * 86400000;
+  for (const [name, entry] of Object.entries(store.trends)) {
+    if (Date.parse(entry.lastSeen) < retentionCutoff) {
+      delete store.trends[name];
+    }
+  }
 
-    // Check if this is a confirmed meme
-    // Look for status indicators in search results
-    const isConfirmed = html.includes('Confirmed') || html.includes('confirmed');
-    const isSubmission = html.includes('Submission') || html.includes('submission');
+  store.updatedAt = timestamp;
+  return trends;
+}
 
-    // Try to extract origin year
-    const yearMatch = html.match(/Origin<\/dt>\s*<dd[^>]*>(\d{4})/);
-    const year = yearMatch ? parseInt(yearMatch[1]) : null;
+// Public view of one history entry, as of the latest snapshot
+function summarizeHistory(name, entry, updatedAt) {
+  const latest = entry.points[entry.points.length - 1];
+  return {
+    name,
+    displayName: entry.displayName,
+    firstSeen: entry.firstSeen,
+    lastSeen: entry.lastSeen,
+    onListSince: entry.onListSince,
+    onList: entry.lastSeen === updatedAt,
+    rank: latest.rank,
+    score: latest.score,
+    snapshots: entry.points.length
+  };
+}
 
-    // Try to extract origin platform
-    const originMatch = html.match(/Origin<\/dt>\s*<dd[^>]*>([^<]+)/);
-    const origin = originMatch ? originMatch[1].trim() : null;
+// ========== MENTION FUNCTIONS ==========
 
-    if (isConfirmed || isSubmission) {
-      return {
-        status: isConfirmed ? 'confirmed' : 'submission',
-        origin: origin,
-        year: year
-      };
-    }
+async function readMentions(env, region) {
+  const stored = await env.TREND_HISTORY.get(regionKey(MENTIONS_KEY, region), 'json');
+  return stored || { updatedAt: null, tickers: {}, previous: null };
+}
 
-    return null;
+// Store this refresh's mentions (see mentions.js), keeping the counts of the
+// one before for comparison
+async function recordMentions(env, region, tickers, timestamp) {
+  if (!env.TREND_HISTORY) return;
+
+  try {
+    const stored = await readMentions(env, region);
+    const previous = stored.updatedAt ? {
+      updatedAt: stored.updatedAt,
+      counts: Object.fromEntries(Object.entries(stored.tickers).map(([symbol, entry]) => [symbol, entry.mentions]))
+    } : null;
+    await env.TREND_HISTORY.put(regionKey(MENTIONS_KEY, region), JSON.stringify({ updatedAt: timestamp, tickers, previous }));
   } catch (error) {
-    // Silently fail - KYM enrichment is optional
-    return null;
+    // Mentions are an enhancement; never fail the trends response over them
+    console.error('Ticker mentions error:', error);
   }
 }
 
 // ========== NORMALIZATION & SCORING FUNCTIONS ==========
 
+// source: adapter from sources/index.js
 function normalizeTrend(trend, source) {
-  const name = (trend.hashtag || trend.displayName || '')
-    .replace(/^#/, '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '');
+  // Unicode-aware, so Japanese, Korean or emoji trends keep distinct names
+  const name = normalizeName(trend.hashtag || trend.displayName || '');
 
   const displayName = trend.displayName || trend.hashtag || `#${name}`;
 
-  // Detect category based on keywords
-  const category = detectCategory(name, trend.keywords || []);
-
-  // Calculate source-specific score (0-100)
-  let sourceScore = 50; // Default middle score
-
-  if (source === 'tiktok') {
-    // Score based on growth rates
-    const avgGrowth = (trend.growth5h + trend.growth24h + trend.growth7d) / 3;
-    sourceScore = Math.min(100, Math.max(0, avgGrowth / 10));
-  } else if (source === 'google') {
-    // Score based on rank (top rank = higher score)
-    sourceScore = Math.max(0, 100 - (trend.rank * 4));
-  } else if (source === 'reddit') {
-    // Score based on Reddit score (upvotes) and cross-posting
-    const redditScore = trend.redditScore || 0;
-    const subredditCount = trend.subreddits?.length || 1;
-    // Base score from upvotes (log scale)
-    sourceScore = Math.min(100, Math.log10(redditScore + 1) * 20);
-    // Boost for cross-posting to multiple subreddits
-    sourceScore *= (1 + (subredditCount - 1) * 0.2);
-    sourceScore = Math.min(100, sourceScore);
-  } else if (source === 'twitter') {
-    // Score based on rank (top trends score higher)
-    sourceScore = Math.max(0, 100 - (trend.rank * 3));
-    // Boost for cashtags (crypto-related) and hashtags
-    if (trend.isCashtag) sourceScore *= 1.3;
-    if (trend.isHashtag) sourceScore *= 1.1;
-    sourceScore = Math.min(100, sourceScore);
-  } else if (source === '4chan') {
-    // Score based on reply count (activity level)
-    const replies = trend.chanReplies || 0;
-    sourceScore = Math.min(100, Math.log10(replies + 1) * 30);
-    // Boost for threads with images (more engaging)
-    if (trend.chanImages > 10) sourceScore *= 1.2;
-    sourceScore = Math.min(100, sourceScore);
-  }
+  // Source-specific score (0-100)
+  const sourceScore = source.score(trend);
 
   return {
     name: name,
     displayName: displayName,
-    sources: [source],
+    sources: [source.id],
     firstSeen: new Date().toISOString().split('T')[0],
     scores: {
-      [source]: Math.round(sourceScore)
+      [source.id]: Math.round(sourceScore)
     },
     aggregateScore: Math.round(sourceScore),
-    category: category,
+    category: 'unknown', // set once merged (see mergeAndScore)
+    categories: [],
     velocity: `+${trend.growth24h || 0}%`,
     memeStatus: 'unknown',
 
@@ -853,30 +868,24 @@ function normalizeTrend(trend, source) {
   };
 }
 
-function detectCategory(name, keywords) {
-  const allTerms = [name, ...keywords].join(' ').toLowerCase();
-
-  for (const [category, terms] of Object.entries(CATEGORY_KEYWORDS)) {
-    for (const term of terms) {
-      if (allTerms.includes(term)) {
-        return category;
-      }
-    }
-  }
-
-  return 'unknown';
-}
-
-function mergeAndScore(trends) {
-  // Group trends by normalized name
-  const grouped = new Map();
-
-  for (const trend of trends) {
-    const key = trend.name;
-
-    if (grouped.has(key)) {
-      const existing = grouped.get(key);
+// weights: source id -> weight of the enabled sources, taxonomy: see
+// taxonomy.js
+function mergeAndScore(trends, weights, profileName, taxonomy) {
+  // Group trends that refer to the same entity (see entities.js)
+  const grouped = resolveEntities(trends).map(({ name, trends: items }) => {
+    // The member with the canonical name (or the first one) supplies the display fields
+    const lead = items.find(t => t.name === name) || items[0];
+    const existing = {
+      ...lead,
+      name: name,
+      sources: [],
+      scores: {},
+      keywords: [],
+      articles: [],
+      members: []
+    };
 
+    for (const trend of items) {
       // Merge sources
       for (const source of trend.sources) {
         if (!existing.sources.includes(source)) {
@@ -884,9 +893,9 @@ function mergeAndScore(trends) {
         }
       }
 
-      // Merge scores
+      // Merge scores, keeping each source's best item
       for (const [source, score] of Object.entries(trend.scores)) {
-        existing.scores[source] = score;
+        existing.scores[source] = Math.max(existing.scores[source] ?? 0, score);
       }
 
       // Take highest values for metrics
@@ -900,56 +909,34 @@ function mergeAndScore(trends) {
 
       // Merge articles
       if (trend.articles && trend.articles.length > 0) {
-        existing.articles = [...(existing.articles || []), ...trend.articles].slice(0, 5);
+        existing.articles = [...existing.articles, ...trend.articles].slice(0, 5);
       }
 
       // Use the better description
       if (trend.description.length > existing.description.length) {
         existing.description = trend.description;
       }
-    } else {
-      grouped.set(key, { ...trend });
-    }
-  }
-
-  // Calculate aggregate scores
-  const result = Array.from(grouped.values()).map(trend => {
-    // Calculate weighted score based on sources
-    let totalWeight = 0;
-    let weightedScore = 0;
-
-    for (const [source, score] of Object.entries(trend.scores)) {
-      const weight = SOURCE_WEIGHTS[source] || 0.1;
-      weightedScore += score * weight;
-      totalWeight += weight;
-    }
 
-    let aggregateScore = totalWeight > 0 ? weightedScore / totalWeight : 0;
-
-    // Multi-source boost
-    if (trend.sources.length >= 3) {
-      aggregateScore *= 1.3;
-    } else if (trend.sources.length >= 2) {
-      aggregateScore *= 1.15;
+      // The source items this trend was resolved from
+      existing.members.push({
+        source: trend.sources[0],
+        name: trend.name,
+        displayName: trend.displayName,
+        url: trend.url,
+        score: trend.aggregateScore
+      });
     }
 
-    // Category boost for memecoin-relevant content
-    if (trend.category === 'animal') {
-      aggregateScore *= 1.4;
-    } else if (trend.category === 'ai') {
-      aggregateScore *= 1.3;
-    } else if (trend.category === 'absurdist') {
-      aggregateScore *= 1.2;
-    }
+    return existing;
+  });
 
-    trend.aggregateScore = Math.min(100, Math.round(aggregateScore));
+  grouped.forEach(trend => {
     trend.velocity = `+${trend.growth24h}%`;
-
-    return trend;
+    // Categories of the whole entity, so a boost can't hinge on which
+    // source's item led the group
+    Object.assign(trend, categorize(trend, taxonomy));
   });
 
-  // Sort by aggregate score (highest first)
-  result.sort((a, b) => b.aggregateScore - a.aggregateScore);
-
-  return result;
+  // Calculate aggregate scores and sort (see scoring.js)
+  return scoreTrends(grouped, weights, profileName);
 }
@@ -0,0 +1,225 @@
+/**
+ * Know Your Meme enrichment: status, origin, year and tags of the top trends.
+ *
+ * Each trend is searched on Know Your Meme, the search results are compared
+ * with the trend name, and the best-matching entry page is fetched. A match
+ * must be the same name ignoring spacing and punctuation, or contain every
+ * word of the entry name with MIN_MATCH_SIMILARITY word overlap, so "hippo"
+ * doesn't inherit the status of "Hungry Hungry Hippos", nor "Deng" or "cat"
+ * that of "Moo Deng" or "Grumpy Cat". Status, origin, year and tags come from the entry's
+ * details panel (<dt>/<dd> pairs); a page that merely contains the word
+ * "Confirmed" is not a confirmed meme.
+ *
+ * Lookups run KYM_CONCURRENCY at a time and are cached per term in the
+ * TREND_HISTORY namespace when it is bound: matches for days, "not on Know
+ * Your Meme" for a day. Failed lookups are not cached.
+ */
+
+import { select } from './markup.js';
+
+const KYM_BASE_URL = 'https://knowyourmeme.com';
+
+// Only the top of the list is checked, to avoid rate limiting
+const KYM_ENRICH_LIMIT = 10;
+const KYM_CONCURRENCY = 3;
+
+const KYM_CACHE_TTL = 3 * 24 * 60 * 60;       // seconds, for a match
+const KYM_MISS_CACHE_TTL = 24 * 60 * 60;      // seconds, for no match
+
+const MIN_MATCH_SIMILARITY = 0.5;
+
+// /memes/<slug> links that are listings, not entries
+const LISTING_SLUGS = new Set(['all', 'popular', 'trending', 'submissions', 'researching', 'confirmed', 'deadpool', 'new', 'random']);
+
+export const KYM_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; MemeAggregator/1.0)'
+};
+
+function compact(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Left out of entry names when checking that the term has all their words
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'of']);
+
+function words(text) {
+  return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+}
+
+// 1 for the same name ignoring spacing and punctuation ("moodeng" /
+// "Moo Deng"), 0 when the term lacks a word of the entry name ("Deng" /
+// "Moo Deng"), otherwise the Jaccard overlap of their words
+export function matchSimilarity(term, name) {
+  if (compact(term) && compact(term) === compact(name)) return 1;
+
+  const a = words(term);
+  const b = words(name);
+  for (const word of b) {
+    if (!a.has(word) && !FILLER_WORDS.has(word)) return 0;
+  }
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union > 0 ? shared / union : 0;
+}
+
+// Entries listed on a search results page, in result order, as
+// [{ name, url }]
+export function parseSearchResults(html) {
+  const entries = new Map();
+
+  for (const link of select(html, 'a[href*="/memes/"]')) {
+    const url = new URL(link.attrs.href, KYM_BASE_URL);
+    const slug = url.pathname.match(/^\/memes\/([a-z0-9-]+)\/?$/)?.[1];
+    if (!slug || LISTING_SLUGS.has(slug)) continue;
+
+    // Photo links have no text; the title link of the same entry does
+    const entry = entries.get(slug) || { name: '', url: `${KYM_BASE_URL}/memes/${slug}` };
+    entry.name = entry.name || link.text;
+    entries.set(slug, entry);
+  }
+
+  return Array.from(entries.values()).filter(entry => entry.name);
+}
+
+// Details panel of a Know Your Meme page as lowercase label -> text
+// ({ status: 'Confirmed', year: '2024', origin: 'TikTok', ... }). Pages
+// without one give {}.
+export function parseMemeDetails(html) {
+  const details = {};
+  let label = null;
+
+  for (const element of select(html, 'dl dt, dl dd')) {
+    if (element.name === 'dt') {
+      label = element.text.replace(/:$/, '').trim().toLowerCase();
+    } else if (label) {
+      if (!(label in details)) details[label] = element.text;
+      label = null;
+    }
+  }
+
+  return details;
+}
+
+// { name, status, origin, year, tags } for an entry page, otherwise null
+export function parseMemePage(html) {
+  const details = parseMemeDetails(html);
+  if (!details.status) return null;
+
+  const name = select(html, 'h1')[0]?.text || null;
+  const year = (details.year || '').match(/\b(19|20)\d{2}\b/);
+  return {
+    name,
+    status: details.status.toLowerCase(),
+    origin: details.origin || null,
+    year: year ? parseInt(year[0]) : null,
+    tags: (details.tags || '').split(',').map(tag => tag.trim()).filter(Boolean)
+  };
+}
+
+async function fetchPage(url) {
+  const response = await fetch(url, { headers: KYM_HEADERS });
+  if (!response.ok) {
+    throw new Error(`Know Your Meme error: ${response.status}`);
+  }
+  return { html: await response.text(), url: response.url || url };
+}
+
+// The entry best matching term, or null when none is similar enough.
+// Throws when Know Your Meme fails.
+async function lookupMeme(term) {
+  const search = await fetchPage(`${KYM_BASE_URL}/search?q=${encodeURIComponent(term)}`);
+
+  // An exact title match can redirect straight to the entry
+  const direct = parseMemePage(search.html);
+  if (direct && direct.name && matchSimilarity(term, direct.name) >= MIN_MATCH_SIMILARITY) {
+    return { ...direct, url: search.url, similarity: matchSimilarity(term, direct.name) };
+  }
+
+  let best = null;
+  for (const entry of parseSearchResults(search.html)) {
+    const similarity = matchSimilarity(term, entry.name);
+    if (similarity >= MIN_MATCH_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { ...entry, similarity };
+    }
+  }
+  if (!best) return null;
+
+  const entry = parseMemePage((await fetchPage(best.url)).html);
+  return entry ? { ...entry, name: entry.name || best.name, url: best.url, similarity: best.similarity } : null;
+}
+
+// "#MooDeng" -> "Moo Deng"
+function searchTerm(trend) {
+  return (trend.displayName || trend.name)
+    .replace(/^[#$]/, '')
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Cached lookup: the entry, null for "not on Know Your Meme", undefined
+// when the lookup failed
+async function checkKnowYourMeme(term, env) {
+  const cacheKey = `kym:${compact(term)}`;
+  if (env.TREND_HISTORY) {
+    try {
+      const cached = await env.TREND_HISTORY.get(cacheKey, 'json');
+      if (cached) return cached.entry;
+    } catch (error) {
+      // A KV error is a cache miss, not a failed refresh
+      console.error(`Know Your Meme cache read error for ${term}:`, error);
+    }
+  }
+
+  let entry;
+  try {
+    entry = await lookupMeme(term);
+  } catch (error) {
+    // KYM enrichment is optional
+    console.error(`Know Your Meme lookup error for ${term}:`, error);
+    return undefined;
+  }
+
+  if (env.TREND_HISTORY) {
+    try {
+      await env.TREND_HISTORY.put(cacheKey, JSON.stringify({ entry }), {
+        expirationTtl: entry ? KYM_CACHE_TTL : KYM_MISS_CACHE_TTL
+      });
+    } catch (error) {
+      console.error(`Know Your Meme cache write error for ${term}:`, error);
+    }
+  }
+  return entry;
+}
+
+// Adds to each of the top KYM_ENRICH_LIMIT trends found on Know Your Meme:
+//   memeStatus  entry status ("confirmed", "submission", "deadpool" ...)
+//   memeOrigin  origin platform, memeYear origin year, memeTags entry tags
+//   memeUrl     entry page
+// Other trends keep memeStatus "unknown".
+export async function enrichWithKnowYourMeme(trends, env) {
+  const queue = trends.slice(0, KYM_ENRICH_LIMIT);
+  const workers = Array.from({ length: KYM_CONCURRENCY }, async () => {
+    while (queue.length > 0) {
+      const trend = queue.shift();
+      const term = searchTerm(trend);
+      if (!term) continue;
+
+      const memeData = await checkKnowYourMeme(term, env);
+      if (memeData) {
+        trend.memeStatus = memeData.status;
+        trend.memeOrigin = memeData.origin;
+        trend.memeYear = memeData.year;
+        trend.memeTags = memeData.tags;
+        trend.memeUrl = memeData.url;
+      }
+    }
+  });
+  await Promise.all(workers);
+
+  return trends;
+}
@@ -0,0 +1,50 @@
+/**
+ * Markup parsing for the scraped sources (Google Trends RSS, trends24, Know
+ * Your Meme).
+ *
+ * Pages are parsed with htmlparser2 (XML mode for RSS: CDATA, <link> with
+ * content) and queried with css-select, which run the same in Workers and in
+ * Node, where the recorded fixtures are replayed (see fixtures.js). Character
+ * references are decoded by the parser, so extraction doesn't depend on
+ * attribute order, quoting, whitespace or entity encoding. HTMLRewriter has no
+ * XML mode and doesn't exist in Node.
+ *
+ * Selectors are CSS ("a.trend-link", "dl dt, dl dd"). Namespaced RSS names
+ * are written as they appear ("item ht:approx_traffic"); the colon is escaped
+ * here.
+ */
+
+import { parseDocument } from 'htmlparser2';
+import { selectAll, selectOne } from 'css-select';
+import { textContent } from 'domutils';
+
+// "ht:news_item" -> "ht\:news_item", leaving quoted attribute values alone
+function escapeSelector(selector) {
+  return selector.replace(/("[^"]*"|'[^']*')|([\w-]):(?=[\w-])/g, (match, quoted, before) =>
+    quoted ? quoted : `${before}\\:`
+  );
+}
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Elements matching selector, in document order, as { name, attrs, text,
+// fields }. text is the decoded text content with whitespace collapsed.
+// options.fields maps names to selectors matched inside each element;
+// fields[name] is the text of the first match, or null.
+export function select(markup, selector, { xml = false, fields = {} } = {}) {
+  const options = { xmlMode: xml };
+  const document = parseDocument(markup, options);
+  const fieldSelectors = Object.entries(fields).map(([name, fieldSelector]) => [name, escapeSelector(fieldSelector)]);
+
+  return selectAll(escapeSelector(selector), document, options).map(element => ({
+    name: element.name,
+    attrs: element.attribs,
+    text: collapse(textContent(element)),
+    fields: Object.fromEntries(fieldSelectors.map(([name, fieldSelector]) => {
+      const match = selectOne(fieldSelector, element.children, options);
+      return [name, match ? collapse(textContent(match)) : null];
+    }))
+  }));
+}
@@ -0,0 +1,119 @@
+/**
+ * Ticker mentions: how often each coin is named across everything the
+ * sources fetched (post titles and bodies, thread subjects and replies, cast
+ * text, video titles, trend names), not just in the five keywords a trend
+ * keeps.
+ *
+ * A text mentions a ticker when it contains
+ *
+ *   - a cashtag, in any case: $WIF, $bonk
+ *   - a known token symbol written in capitals: BONK, PEPE. Known symbols are
+ *     KNOWN_SYMBOLS plus the symbols of this refresh's exact DexScreener
+ *     matches (see tokens.js).
+ *
+ * Each text counts once per ticker, however often it repeats it, and a text
+ * fetched twice by a source counts once.
+ */
+
+// Memecoins and majors commonly named without a $. Symbols that are also
+// everyday words (GOAT, TRUMP, HYPE) only count as cashtags.
+const KNOWN_SYMBOLS = ['BTC', 'ETH', 'SOL', 'DOGE', 'SHIB', 'PEPE', 'WIF', 'BONK', 'FLOKI', 'POPCAT', 'BRETT', 'MOG', 'PNUT', 'MOODENG', 'FARTCOIN', 'NEIRO', 'BOME', 'MEW', 'MYRO', 'SLERF', 'PONKE', 'MICHI', 'DEGEN', 'GIGA'];
+
+// Stablecoins, currencies and acronyms that are never counted as tickers
+const NOT_SYMBOLS = new Set(['USD', 'USDT', 'USDC', 'CEO', 'ETF', 'ATH', 'NFT', 'DAO', 'DEX', 'CEX', 'THE', 'AND', 'FOR', 'NEW', 'ALL', 'BUY', 'NOW']);
+
+const MAX_TICKERS = 100;       // kept per snapshot, most mentioned first
+const SAMPLES_PER_TICKER = 3;
+const SAMPLE_LENGTH = 160;     // characters of text around the mention
+
+// Known symbols for this refresh: KNOWN_SYMBOLS plus the exact token matches
+// of the trends (trend.tokens from matchTokens)
+export function knownSymbols(trends) {
+  const symbols = new Set(KNOWN_SYMBOLS);
+  for (const trend of trends) {
+    for (const token of trend.tokens || []) {
+      const symbol = (token.symbol || '').toUpperCase();
+      if (token.match === 'exact' && /^[A-Z][A-Z0-9]{2,9}$/.test(symbol) && !NOT_SYMBOLS.has(symbol)) {
+        symbols.add(symbol);
+      }
+    }
+  }
+  return symbols;
+}
+
+// Tickers mentioned in one text, as a Map of symbol -> index of the first
+// mention
+export function extractMentions(text, symbols) {
+  const mentions = new Map();
+  for (const match of text.matchAll(/\$([A-Za-z][A-Za-z0-9]{1,9})\b/g)) {
+    const symbol = match[1].toUpperCase();
+    if (!NOT_SYMBOLS.has(symbol) && !mentions.has(symbol)) mentions.set(symbol, match.index);
+  }
+  for (const match of text.matchAll(/\b([A-Z][A-Z0-9]{2,9})\b/g)) {
+    if (symbols.has(match[1]) && !mentions.has(match[1])) mentions.set(match[1], match.index);
+  }
+  return mentions;
+}
+
+// The text around a mention
+function snippet(text, index) {
+  if (text.length <= SAMPLE_LENGTH) return text;
+
+  const start = Math.max(0, Math.min(Math.round(index - SAMPLE_LENGTH / 3), text.length - SAMPLE_LENGTH));
+  const end = start + SAMPLE_LENGTH;
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+// Up to SAMPLES_PER_TICKER samples, one per source before a second from any
+function pickSamples(candidates) {
+  const picked = [];
+  for (let round = 0; picked.length < SAMPLES_PER_TICKER && round < SAMPLES_PER_TICKER; round++) {
+    for (const samples of candidates.values()) {
+      if (samples[round] && picked.length < SAMPLES_PER_TICKER) picked.push(samples[round]);
+    }
+  }
+  return picked;
+}
+
+// textsBySource: [[source id, [{ text, url }]]]. Returns symbol ->
+//   mentions  texts mentioning the ticker
+//   sources   source id -> texts mentioning it there
+//   samples   [{ source, text, url }], spread over the sources
+// for the MAX_TICKERS most mentioned tickers.
+export function countMentions(textsBySource, symbols) {
+  const tally = new Map();
+
+  for (const [source, texts] of textsBySource) {
+    // The same post can be fetched twice (crossposts, overlapping pages)
+    const seen = new Set();
+
+    for (const { text, url } of texts) {
+      // On one line, for the samples
+      const flat = (text || '').replace(/\s+/g, ' ').trim();
+      if (!flat || seen.has(`${url} ${flat}`)) continue;
+      seen.add(`${url} ${flat}`);
+
+      for (const [symbol, index] of extractMentions(flat, symbols)) {
+        const entry = tally.get(symbol) || { mentions: 0, sources: {}, candidates: new Map() };
+        entry.mentions++;
+        entry.sources[source] = (entry.sources[source] || 0) + 1;
+
+        const samples = entry.candidates.get(source) || [];
+        if (samples.length < SAMPLES_PER_TICKER) {
+          samples.push({ source, text: snippet(flat, index), url: url || null });
+        }
+        entry.candidates.set(source, samples);
+        tally.set(symbol, entry);
+      }
+    }
+  }
+
+  return Object.fromEntries(Array.from(tally.entries())
+    .sort((a, b) => b[1].mentions - a[1].mentions)
+    .slice(0, MAX_TICKERS)
+    .map(([symbol, { mentions, sources, candidates }]) => [symbol, {
+      mentions,
+      sources,
+      samples: pickSamples(candidates)
+    }]));
+}
@@ -0,0 +1,33 @@
+/**
+ * Regions served by /trends?region=. Each region has its own snapshot,
+ * history and source health in the TREND_HISTORY namespace; the default
+ * region keeps the original unsuffixed keys.
+ *
+ *   name      display name
+ *   trends24  trends24.in page slug for the X/Twitter source
+ *
+ * Google Trends and the TikTok scraper take the region code itself.
+ */
+
+export const DEFAULT_REGION = 'US';
+
+export const REGIONS = {
+  US: { name: 'United States', trends24: 'united-states' },
+  GB: { name: 'United Kingdom', trends24: 'united-kingdom' },
+  JP: { name: 'Japan', trends24: 'japan' },
+  KR: { name: 'South Korea', trends24: 'korea' },
+  IN: { name: 'India', trends24: 'india' },
+  BR: { name: 'Brazil', trends24: 'brazil' }
+};
+
+// Region object ({ code, name, trends24 }) for a code, case-insensitive, or
+// null when unknown
+export function getRegion(code = DEFAULT_REGION) {
+  const upper = String(code).toUpperCase();
+  return REGIONS[upper] ? { code: upper, ...REGIONS[upper] } : null;
+}
+
+// KV key of a per-region record ("snapshot:v1" -> "snapshot:v1:JP")
+export function regionKey(key, region) {
+  return region.code === DEFAULT_REGION ? key : `${key}:${region.code}`;
+}
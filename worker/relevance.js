@@ -0,0 +1,194 @@
+/**
+ * Relevance filtering: keeps sports scores, elections and obituaries from
+ * ranking alongside meme candidates.
+ *
+ * Each trend is checked in this order:
+ *
+ *   1. allowlist   known meme / crypto terms, cashtags and memes confirmed on
+ *                  Know Your Meme are always relevant
+ *   2. blocklists  a blocked term, a link to a blocked domain, or a
+ *                  classified category that is blocked drops the trend
+ *   3. classifier  a trend that looks like sports, an election or an obituary
+ *                  is demoted below the relevant ones
+ *
+ * The lists extend the defaults below with comma-separated vars
+ * (RELEVANCE_ALLOW_TERMS, RELEVANCE_BLOCK_TERMS, RELEVANCE_BLOCK_DOMAINS,
+ * RELEVANCE_BLOCK_CATEGORIES). Terms match whole words, case-insensitively.
+ */
+
+// Classifier: category -> phrases that give it away. Matched against the
+// trend's name, description, keywords and news headlines.
+const CLASSIFIER_RULES = {
+  sports: [
+    'nfl', 'nba', 'mlb', 'nhl', 'mls', 'wnba', 'ncaa', 'ufc', 'f1', 'formula 1', 'grand prix', 'ipl',
+    'premier league', 'champions league', 'la liga', 'serie a', 'bundesliga', 'world series', 'super bowl',
+    'stanley cup', 'march madness', 'wimbledon', 'playoffs', 'playoff', 'touchdown',
+    'quarterback', 'halftime', 'kickoff', 'home run', 'hat trick', 'innings', 'draft pick', 'head coach'
+  ],
+  election: [
+    'election', 'elections', 'ballot', 'ballots', 'polls', 'polling', 'primaries', 'caucus', 'midterm',
+    'midterms', 'electoral', 'referendum', 'inauguration', 'senate race', 'governor race', 'early voting',
+    'exit poll', 'running mate'
+  ],
+  obituary: [
+    'dies', 'died', 'dead at', 'passes away', 'passed away', 'obituary', 'funeral', 'death of',
+    'cause of death', 'has died', 'memorial service'
+  ]
+};
+
+// Patterns the phrase lists can't express. Words that are everyday meme
+// vocabulary on their own ("RIP", "highlights", "FC") only count in context:
+// "RIP <first> <last>", "<club> FC", highlights of a "<team> vs <team>" game.
+const CLASSIFIER_PATTERNS = {
+  sports: [
+    /\b\d{1,3}\s*[-–]\s*\d{1,3}\b.{0,40}?\b(win|wins|beat|beats|loss|draw|final)\b/i,
+    /\b(?:FC\s+\p{Lu}\p{L}+|\p{Lu}\p{L}+\s+FC)\b/u,
+    /\bhighlights\b.{0,60}?\b(vs?|versus)\b|\b(vs?|versus)\b.{0,60}?\bhighlights\b/i
+  ],
+  obituary: [
+    /\baged?\s+\d{2,3}\b.{0,40}?\b(dies|died)\b/i,
+    /\(\d{4}\s*[-–]\s*\d{4}\)/,
+    /\b(?:RIP|Rip|rip)\s+\p{Lu}\p{Ll}+\s+\p{Lu}\p{Ll}+/u,
+    /\b(dies|died|dead)\s+at\s+\d{2,3}\b/i
+  ]
+};
+
+// Sites whose articles give a trend away, by category
+const CLASSIFIER_DOMAINS = {
+  sports: ['espn.com', 'nfl.com', 'nba.com', 'mlb.com', 'nhl.com', 'cbssports.com', 'skysports.com', 'bleacherreport.com', 'theathletic.com'],
+  obituary: ['legacy.com']
+};
+
+const DEFAULT_ALLOW_TERMS = [
+  'meme', 'memes', 'memecoin', 'coin', 'token', 'crypto', 'pepe', 'doge', 'wojak', 'shitpost', 'brainrot',
+  'skibidi', 'rizz', 'bitcoin', 'solana', 'pump.fun'
+];
+
+function listVar(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Lists in effect for an env: the defaults plus the RELEVANCE_* vars
+export function relevanceConfig(env) {
+  return {
+    allowTerms: [...DEFAULT_ALLOW_TERMS, ...listVar(env.RELEVANCE_ALLOW_TERMS)],
+    blockTerms: listVar(env.RELEVANCE_BLOCK_TERMS),
+    blockDomains: listVar(env.RELEVANCE_BLOCK_DOMAINS),
+    blockCategories: listVar(env.RELEVANCE_BLOCK_CATEGORIES)
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// First of terms found as a whole word (or phrase) in text, otherwise null
+function findTerm(text, terms) {
+  return terms.find(term => {
+    const phrase = term.split(/\s+/).map(escapeRegExp).join('\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+  }) || null;
+}
+
+// Text the trend is judged on. "#WorldSeries" reads as "World Series".
+function trendText(trend) {
+  return [
+    (trend.displayName || '').replace(/^[#$]/, '').replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2'),
+    trend.description,
+    (trend.keywords || []).join(' '),
+    ...(trend.articles || []).map(article => article.title)
+  ].filter(Boolean).join('\n');
+}
+
+// Hostnames of the trend's own link, its news articles and its source links
+function trendDomains(trend) {
+  const urls = [trend.url, ...(trend.articles || []).map(a => a.url), ...(trend.members || []).map(m => m.url)];
+  const hosts = new Set();
+  for (const url of urls) {
+    try {
+      hosts.add(new URL(url).hostname.toLowerCase().replace(/^www\./, ''));
+    } catch {
+      // Not a URL
+    }
+  }
+  return hosts;
+}
+
+function findDomain(hosts, domains) {
+  for (const host of hosts) {
+    const domain = domains.find(d => host === d || host.endsWith(`.${d}`));
+    if (domain) return domain;
+  }
+  return null;
+}
+
+// Category the classifier puts the trend in, as { category, evidence }, or
+// null. A source's own category (Bluesky tags sports) counts too.
+function classify(trend, text, hosts) {
+  for (const category of Object.keys(CLASSIFIER_RULES)) {
+    if (trend.industry === category) return { category, evidence: `${category} topic` };
+
+    const term = findTerm(text, CLASSIFIER_RULES[category]);
+    if (term) return { category, evidence: `"${term}"` };
+
+    const pattern = (CLASSIFIER_PATTERNS[category] || []).find(p => p.test(text));
+    if (pattern) return { category, evidence: `"${text.match(pattern)[0].trim()}"` };
+
+    const domain = findDomain(hosts, CLASSIFIER_DOMAINS[category] || []);
+    if (domain) return { category, evidence: `links to ${domain}` };
+  }
+  return null;
+}
+
+// { relevance, filterReason } for one trend:
+//   relevance     "relevant", "demoted" (shown below the relevant trends) or
+//                 "dropped" (left out unless ?include=all)
+//   filterReason  why it was demoted or dropped, otherwise null
+export function checkRelevance(trend, config) {
+  const text = trendText(trend);
+  const relevant = { relevance: 'relevant', filterReason: null };
+
+  if ((trend.displayName || '').startsWith('$') || trend.memeStatus === 'confirmed' || findTerm(text, config.allowTerms)) {
+    return relevant;
+  }
+
+  const blockedTerm = findTerm(text, config.blockTerms);
+  if (blockedTerm) {
+    return { relevance: 'dropped', filterReason: `blocked term "${blockedTerm}"` };
+  }
+
+  const hosts = trendDomains(trend);
+  const blockedDomain = findDomain(hosts, config.blockDomains);
+  if (blockedDomain) {
+    return { relevance: 'dropped', filterReason: `blocked domain ${blockedDomain}` };
+  }
+
+  // Taxonomy labels (see taxonomy.js) can be blocked too
+  const blockedLabel = (trend.categories || [{ name: trend.category }]).find(label => config.blockCategories.includes(label.name));
+  if (blockedLabel) {
+    return { relevance: 'dropped', filterReason: `blocked category ${blockedLabel.name}` };
+  }
+
+  const match = classify(trend, text, hosts);
+  if (!match) return relevant;
+
+  if (config.blockCategories.includes(match.category)) {
+    return { relevance: 'dropped', filterReason: `blocked category ${match.category} (${match.evidence})` };
+  }
+  return { relevance: 'demoted', filterReason: `${match.category} (${match.evidence})` };
+}
+
+// Sets relevance and filterReason on every trend (see checkRelevance)
+export function classifyTrends(trends, config) {
+  trends.forEach(trend => Object.assign(trend, checkRelevance(trend, config)));
+  return trends;
+}
+
+// The list to show: relevant trends, then demoted ones, each in their
+// current order; dropped trends are left out
+export function filterTrends(trends) {
+  return [
+    ...trends.filter(trend => trend.relevance !== 'demoted' && trend.relevance !== 'dropped'),
+    ...trends.filter(trend => trend.relevance === 'demoted')
+  ];
+}
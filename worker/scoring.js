@@ -0,0 +1,141 @@
+/**
+ * Aggregate scoring with named profiles.
+ *
+ * A trend's aggregateScore is the weighted average of its per-source scores,
+ * multiplied by the boosts of the active profile and capped at 100. Every
+ * scored trend carries a scoreBreakdown listing each ingredient, so the
+ * ranking can be explained from the payload:
+ *
+ *   profile      profile name
+ *   sources      source id -> { score, weight }
+ *   base         weighted average of the source scores
+ *   multipliers  [{ name, factor, reason }] in the order applied
+ *   raw          base x multipliers, before rounding and the cap
+ *   score        final aggregateScore
+ *
+ * Profile fields:
+ *   description   shown in the 400 response for an unknown ?profile=
+ *   sourceWeights optional source id -> weight overrides
+ *   multiSource   minimum number of sources -> factor (the highest reached applies)
+ *   categories    category -> factor; the highest among the trend's category
+ *                 labels (see taxonomy.js) applies
+ *   knowYourMeme  factor for a meme confirmed on Know Your Meme
+ *   noToken       factor for a trend with no DexScreener token yet
+ */
+
+export const DEFAULT_PROFILE = 'default';
+
+export const SCORING_PROFILES = {
+  default: {
+    description: 'Balanced ranking favouring cross-platform, animal, AI and absurdist trends',
+    multiSource: { 2: 1.15, 3: 1.3 },
+    categories: { animal: 1.4, ai: 1.3, absurdist: 1.2 },
+    knowYourMeme: 1.2,
+    noToken: 1
+  },
+  neutral: {
+    description: 'Weighted source scores only, no boosts',
+    multiSource: {},
+    categories: {},
+    knowYourMeme: 1,
+    noToken: 1
+  },
+  crossPlatform: {
+    description: 'Ranks by confirmation across platforms above everything else',
+    multiSource: { 2: 1.3, 3: 1.6, 4: 1.8 },
+    categories: {},
+    knowYourMeme: 1.2,
+    noToken: 1
+  },
+  memecoin: {
+    description: 'Memecoin opportunities: meme-friendly categories and trends without a token yet',
+    multiSource: { 2: 1.15, 3: 1.3 },
+    categories: { animal: 1.5, ai: 1.4, absurdist: 1.3, crypto: 1.1 },
+    knowYourMeme: 1.2,
+    noToken: 1.25
+  }
+};
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// The trend's label with the highest factor in the profile, or null. Trends
+// stored before multi-label categories only have trend.category.
+function boostedCategory(profile, trend) {
+  const labels = trend.categories || [{ name: trend.category }];
+  let best = null;
+  for (const label of labels) {
+    const factor = profile.categories[label.name];
+    if (factor && (!best || factor > best.factor)) best = { ...label, factor };
+  }
+  return best;
+}
+
+function multiSourceFactor(profile, sourceCount) {
+  let factor = 1;
+  for (const [minimum, boost] of Object.entries(profile.multiSource)) {
+    if (sourceCount >= Number(minimum)) factor = Math.max(factor, boost);
+  }
+  return factor;
+}
+
+// weights: source id -> weight of the enabled sources. Sets aggregateScore
+// and scoreBreakdown on the trend.
+export function scoreTrend(trend, weights, profileName = DEFAULT_PROFILE) {
+  const profile = SCORING_PROFILES[profileName];
+  const sourceWeights = { ...weights, ...profile.sourceWeights };
+
+  // Calculate weighted score based on sources
+  let totalWeight = 0;
+  let weightedScore = 0;
+  const sources = {};
+
+  for (const [source, score] of Object.entries(trend.scores)) {
+    const weight = sourceWeights[source] ?? 0.1;
+    weightedScore += score * weight;
+    totalWeight += weight;
+    sources[source] = { score, weight };
+  }
+
+  const base = totalWeight > 0 ? weightedScore / totalWeight : 0;
+
+  const multipliers = [];
+  const apply = (name, factor, reason) => {
+    if (factor && factor !== 1) multipliers.push({ name, factor, reason });
+  };
+
+  // Multi-source boost
+  apply('multiSource', multiSourceFactor(profile, trend.sources.length), `${trend.sources.length} sources`);
+  // Category boost for memecoin-relevant content
+  const category = boostedCategory(profile, trend);
+  if (category) {
+    apply('category', category.factor, category.confidence ? `${category.name} (${category.confidence})` : category.name);
+  }
+  // Boost for confirmed memes
+  if (trend.memeStatus === 'confirmed') {
+    apply('knowYourMeme', profile.knowYourMeme, 'confirmed on Know Your Meme');
+  }
+  if (trend.hasToken === false) {
+    apply('noToken', profile.noToken, 'no token yet');
+  }
+
+  const raw = multipliers.reduce((score, m) => score * m.factor, base);
+  trend.aggregateScore = Math.min(100, Math.round(raw));
+  trend.scoreBreakdown = {
+    profile: profileName,
+    sources,
+    base: round(base, 1),
+    multipliers,
+    raw: round(raw, 1),
+    score: trend.aggregateScore
+  };
+  return trend;
+}
+
+// Score every trend and sort by aggregate score (highest first)
+export function scoreTrends(trends, weights, profileName = DEFAULT_PROFILE) {
+  trends.forEach(trend => scoreTrend(trend, weights, profileName));
+  return trends.sort((a, b) => b.aggregateScore - a.aggregateScore);
+}
@@ -0,0 +1,70 @@
+/**
+ * Bluesky source: trending topics from the public AppView API (no auth).
+ * Each trend comes with a post count and a feed of the posts about it.
+ */
+
+const BLUESKY_TRENDS_URL = 'https://public.api.bsky.app/xrpc/app.bsky.unspecced.getTrends?limit=25';
+
+export default {
+  id: 'bluesky',
+  weight: 0.15,
+  timeoutMs: 8000,
+
+  async fetch(env, fetchUrl) {
+    const response = await fetchUrl(BLUESKY_TRENDS_URL, {
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Bluesky API error: ${response.status}`);
+    }
+
+    return response.json();
+  },
+
+  transform(data) {
+    const trends = data?.trends || [];
+
+    return trends.slice(0, 25).map((trend, index) => {
+      const name = trend.displayName || trend.topic;
+      const postCount = trend.postCount || 0;
+
+      // Posts per hour since the trend started, as a growth estimate
+      const ageHours = trend.startedAt ? (Date.now() - Date.parse(trend.startedAt)) / 3600000 : 24;
+      const postsPerHour = postCount / Math.max(1, ageHours);
+      const growth24h = Math.min(1000, Math.round(postsPerHour));
+
+      const keywords = trend.topic.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 2 || /[^\x00-\x7f]/.test(w));
+
+      return {
+        hashtag: `#${trend.topic.replace(/[^\p{L}\p{N}_]/gu, '').toLowerCase()}`,
+        displayName: name,
+        views: 0, // Bluesky reports posts, not views
+        videoCount: postCount,
+        growth5h: Math.round(growth24h / 4),
+        growth24h: growth24h,
+        growth7d: 0,
+        description: postCount > 0
+          ? `Trending on Bluesky with ${postCount.toLocaleString()} posts`
+          : `Trending on Bluesky: ${name}`,
+        keywords: keywords.length > 0 ? keywords.slice(0, 5) : [trend.topic.toLowerCase()],
+        rank: index + 1,
+        rankDiff: 0,
+        industry: trend.category || null,
+        url: trend.link ? `https://bsky.app${trend.link}` : `https://bsky.app/search?q=${encodeURIComponent(trend.topic)}`,
+        postCount: postCount,
+        isHot: trend.status === 'hot',
+        startedAt: trend.startedAt || null
+      };
+    });
+  },
+
+  score(trend) {
+    // Score based on rank and post volume (log scale)
+    let sourceScore = Math.max(0, 100 - (trend.rank * 3));
+    sourceScore = (sourceScore + Math.min(100, Math.log10(trend.postCount + 1) * 20)) / 2;
+    // Boost for topics Bluesky flags as hot
+    if (trend.isHot) sourceScore *= 1.2;
+    return Math.min(100, sourceScore);
+  }
+};
@@ -0,0 +1,167 @@
+/**
+ * 4chan source: threads on /biz/ from the official catalog API, fetched
+ * through a proxy and clustered into topics (see ../topics.js).
+ */
+
+import { clusterPosts } from '../topics.js';
+
+// Boards to monitor for meme/crypto trends
+const CHAN_BOARDS = ['biz']; // /biz/ - Business & Finance (crypto discussion)
+
+export default {
+  id: '4chan',
+  weight: 0.10,
+  timeoutMs: 10000,
+
+  async fetch(env, fetchUrl) {
+    const allThreads = [];
+
+    // Fetch catalog from each board
+    for (const board of CHAN_BOARDS) {
+      const threads = await fetchBoardCatalog(board, fetchUrl);
+      allThreads.push(...threads);
+    }
+
+    return allThreads;
+  },
+
+  transform(allThreads) {
+    // Group threads about the same coin or topic, scored by replies
+    const topics = clusterPosts(allThreads.map(thread => {
+      // Extract topic from subject or first part of comment
+      const topic = thread.sub || extractTopicFromComment(thread.com) || `Thread ${thread.no}`;
+      return {
+        ...thread,
+        title: topic.replace(/<[^>]*>/g, '').trim(), // Remove HTML tags
+        text: cleanComment(thread.com),
+        score: thread.replies,
+        comments: thread.replies
+      };
+    }));
+
+    // Convert the 20 most active topics to trend format
+    return topics.slice(0, 20).map((topic, index) => {
+      const thread = topic.posts[0];
+      const boards = [...new Set(topic.posts.map(t => t.board))];
+      const images = topic.posts.reduce((sum, t) => sum + (t.images || 0), 0);
+
+      // Extract keywords
+      const keywords = topic.keywords.length > 0
+        ? topic.keywords.slice(0, 5)
+        : thread.title.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length > 2).slice(0, 5);
+
+      const threadCount = topic.posts.length;
+      const description = threadCount > 1
+        ? `${threadCount} threads on /${boards.join('/, /')}/ with ${topic.score} replies`
+        : `Active thread on /${thread.board}/ with ${thread.replies} replies`;
+
+      return {
+        hashtag: `#${(topic.key || thread.title.replace(/\s+/g, '').toLowerCase()).slice(0, 30)}`,
+        displayName: topic.label.slice(0, 50) + (topic.label.length > 50 ? '...' : ''),
+        views: topic.score * 50, // Estimate: 50 views per reply
+        videoCount: images,
+        growth5h: 0,
+        growth24h: Math.min(500, topic.score * 2), // Estimate growth from activity
+        growth7d: 0,
+        description: description,
+        keywords: keywords.length > 0 ? keywords : ['4chan', thread.board],
+        rank: index + 1,
+        rankDiff: 0,
+        industry: 'crypto',
+        url: `https://boards.4channel.org/${thread.board}/thread/${thread.no}`,
+        chanReplies: topic.score,
+        chanImages: images,
+        board: thread.board,
+        threadCount: threadCount,
+        tickers: topic.tickers,
+        topThreads: topic.posts.slice(0, 3).map(t => ({
+          title: t.title,
+          url: `https://boards.4channel.org/${t.board}/thread/${t.no}`,
+          board: t.board,
+          replies: t.replies
+        }))
+      };
+    });
+  },
+
+  score(trend) {
+    // Score based on reply count (activity level)
+    const replies = trend.chanReplies || 0;
+    let sourceScore = Math.min(100, Math.log10(replies + 1) * 30);
+    // Boost for threads with images (more engaging)
+    if (trend.chanImages > 10) sourceScore *= 1.2;
+    // Boost for topics several threads are about
+    sourceScore *= (1 + Math.min(5, (trend.threadCount || 1) - 1) * 0.1);
+    return Math.min(100, sourceScore);
+  },
+
+  texts(allThreads) {
+    // Subjects and opening posts, plus the latest replies the catalog includes
+    return allThreads.flatMap(thread => {
+      const url = `https://boards.4channel.org/${thread.board}/thread/${thread.no}`;
+      return [
+        { text: [thread.sub, cleanComment(thread.com)].filter(Boolean).join('\n'), url },
+        ...(thread.last_replies || []).map(reply => ({ text: cleanComment(reply.com), url: `${url}#p${reply.no}` }))
+      ];
+    });
+  }
+};
+
+async function fetchBoardCatalog(board, fetchUrl) {
+  try {
+    // Use codetabs proxy to bypass 4chan blocking Cloudflare Workers
+    const directUrl = `https://a.4cdn.org/${board}/catalog.json`;
+    const proxyUrl = `https://api.codetabs.com/v1/proxy/?quest=${encodeURIComponent(directUrl)}`;
+
+    const response = await fetchUrl(proxyUrl);
+
+    if (!response.ok) {
+      console.log(`4chan proxy returned ${response.status} for /${board}/`);
+      return [];
+    }
+
+    const pages = await response.json();
+
+    // Flatten all threads from all pages
+    const threads = [];
+    for (const page of pages) {
+      for (const thread of page.threads) {
+        threads.push({
+          ...thread,
+          board: board
+        });
+      }
+    }
+
+    return threads;
+  } catch (error) {
+    console.error(`Error fetching /${board}/:`, error);
+    return [];
+  }
+}
+
+// Comment HTML as plain text
+function cleanComment(comment) {
+  if (!comment) return '';
+
+  return comment
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#039;/g, "'")
+    .trim();
+}
+
+function extractTopicFromComment(comment) {
+  if (!comment) return null;
+
+  // Remove HTML tags and get first line
+  const text = cleanComment(comment);
+
+  // Get first sentence or first 50 chars
+  const firstSentence = text.split(/[.!?]/)[0];
+  return firstSentence.slice(0, 50);
+}
@@ -0,0 +1,181 @@
+/**
+ * Farcaster source: trending casts and channels from the Neynar API
+ * (NEYNAR_API_KEY secret). Casts are clustered into topics like Reddit posts
+ * (see ../topics.js); trending channels ("/degen", "/memes") are trends of
+ * their own.
+ */
+
+import { clusterPosts } from '../topics.js';
+
+const NEYNAR_API_URL = 'https://api.neynar.com/v2/farcaster';
+
+// The trending feed returns at most 10 casts per page
+const FEED_PAGES = 3;
+const FEED_PAGE_SIZE = 10;
+
+export default {
+  id: 'farcaster',
+  weight: 0.15,
+  timeoutMs: 10000,
+  requires: ['NEYNAR_API_KEY'],
+
+  async fetch(env, fetchUrl) {
+    const headers = { 'accept': 'application/json', 'x-api-key': env.NEYNAR_API_KEY };
+
+    const [casts, channels] = await Promise.all([
+      fetchTrendingCasts(headers, fetchUrl),
+      fetchTrendingChannels(headers, fetchUrl)
+    ]);
+
+    return { casts, channels };
+  },
+
+  transform({ casts = [], channels = [] } = {}) {
+    // Group casts about the same coin, person or meme into topics
+    const topics = clusterPosts(casts
+      .filter(cast => cast.text && cast.text.trim())
+      .map(cast => {
+        const [firstLine, ...rest] = cast.text.trim().split('\n');
+        return {
+          ...cast,
+          title: firstLine.slice(0, 200),
+          text: rest.join(' '),
+          score: (cast.reactions?.likes_count || 0) + (cast.reactions?.recasts_count || 0) * 2,
+          comments: cast.replies?.count || 0
+        };
+      }));
+
+    const topicTrends = topics.slice(0, 15).map(topic => {
+      const cast = topic.posts[0];
+      const castChannels = [...new Set(topic.posts.map(c => c.channel?.id).filter(Boolean))];
+
+      // Engagement per hour since the top cast, as a growth estimate
+      const ageHours = (Date.now() - Date.parse(cast.timestamp)) / 3600000;
+      const growth24h = Math.min(1000, Math.round(topic.score / Math.max(1, ageHours) * 10));
+
+      const castCount = topic.posts.length;
+      const description = castCount > 1
+        ? `${castCount} trending casts with ${topic.score.toLocaleString()} likes and recasts`
+        : `Trending cast by @${cast.author?.username} with ${topic.score.toLocaleString()} likes and recasts`;
+
+      return {
+        hashtag: `#${(topic.key || cast.title.replace(/[^\w]/g, '').toLowerCase()).slice(0, 30)}`,
+        displayName: topic.label.slice(0, 50) + (topic.label.length > 50 ? '...' : ''),
+        views: 0, // Neynar doesn't report impressions
+        videoCount: topic.comments,
+        growth5h: Math.round(growth24h / 4),
+        growth24h: growth24h,
+        growth7d: 0,
+        description: description,
+        keywords: topic.keywords.slice(0, 5),
+        rank: 0,
+        rankDiff: 0,
+        industry: null,
+        url: castUrl(cast),
+        farcasterScore: topic.score,
+        castCount: castCount,
+        channels: castChannels,
+        tickers: topic.tickers,
+        topCasts: topic.posts.slice(0, 3).map(c => ({
+          text: c.text ? `${c.title} ${c.text}`.trim().slice(0, 280) : c.title,
+          url: castUrl(c),
+          author: c.author?.username || null,
+          likes: c.reactions?.likes_count || 0,
+          recasts: c.reactions?.recasts_count || 0
+        }))
+      };
+    });
+
+    const channelTrends = channels.slice(0, 10).map(activity => {
+      const channel = activity.channel;
+      const castsToday = Number(activity.cast_count_1d) || 0;
+      const castsWeek = Number(activity.cast_count_7d) || 0;
+
+      // Today's casts against the weekly daily average
+      const dailyAverage = castsWeek / 7;
+      const growth24h = dailyAverage > 0
+        ? Math.max(0, Math.min(1000, Math.round((castsToday / dailyAverage - 1) * 100)))
+        : 0;
+
+      return {
+        hashtag: `#${channel.id}`,
+        displayName: channel.name || `/${channel.id}`,
+        views: 0,
+        videoCount: castsToday,
+        growth5h: Math.round(growth24h / 4),
+        growth24h: growth24h,
+        growth7d: 0,
+        description: `Trending Farcaster channel /${channel.id} with ${castsToday.toLocaleString()} casts today`,
+        keywords: [channel.id.toLowerCase()],
+        rank: 0,
+        rankDiff: 0,
+        industry: null,
+        url: channel.url || `https://warpcast.com/~/channel/${channel.id}`,
+        isChannel: true,
+        channelCasts: castsToday,
+        followers: channel.follower_count || 0
+      };
+    });
+
+    return [...topicTrends, ...channelTrends].map((trend, index) => ({ ...trend, rank: index + 1 }));
+  },
+
+  score(trend) {
+    // Channels by today's cast volume, cast topics by likes and recasts (log scale)
+    if (trend.isChannel) {
+      return Math.min(100, Math.log10(trend.channelCasts + 1) * 20);
+    }
+    let sourceScore = Math.min(100, Math.log10((trend.farcasterScore || 0) + 1) * 25);
+    // Boost for topics several casts are about
+    sourceScore *= (1 + Math.min(5, (trend.castCount || 1) - 1) * 0.1);
+    return Math.min(100, sourceScore);
+  },
+
+  texts({ casts = [] } = {}) {
+    return casts.map(cast => ({ text: cast.text, url: castUrl(cast) }));
+  }
+};
+
+async function fetchTrendingCasts(headers, fetchUrl) {
+  const casts = [];
+  let cursor = null;
+
+  for (let page = 0; page < FEED_PAGES; page++) {
+    const url = `${NEYNAR_API_URL}/feed/trending?limit=${FEED_PAGE_SIZE}&time_window=24h${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+    const response = await fetchUrl(url, { headers });
+
+    if (!response.ok) {
+      // Keep the pages we already have
+      if (casts.length > 0) break;
+      throw new Error(`Neynar API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    casts.push(...(data.casts || []));
+    cursor = data.next?.cursor;
+    if (!cursor) break;
+  }
+
+  return casts;
+}
+
+async function fetchTrendingChannels(headers, fetchUrl) {
+  try {
+    const response = await fetchUrl(`${NEYNAR_API_URL}/channel/trending?time_window=1d&limit=10`, { headers });
+
+    if (!response.ok) {
+      console.error('Neynar trending channels error:', response.status);
+      return [];
+    }
+
+    const data = await response.json();
+    return data.channels || [];
+  } catch (error) {
+    console.error('Error fetching Farcaster channels:', error);
+    return [];
+  }
+}
+
+function castUrl(cast) {
+  return `https://warpcast.com/${cast.author?.username}/${cast.hash.slice(0, 10)}`;
+}
@@ -0,0 +1,106 @@
+/**
+ * Google Trends source: daily trending searches from the free RSS feed, for
+ * any region (geo=<region code>).
+ */
+
+import { select } from '../markup.js';
+
+export default {
+  id: 'google',
+  weight: 0.15,
+  timeoutMs: 8000,
+  regional: true,
+
+  async fetch(env, fetchUrl, region) {
+    // Fetch daily trends from Google Trends RSS feed
+    const response = await fetchUrl(`https://trends.google.com/trending/rss?geo=${region.code}`);
+
+    if (!response.ok) {
+      throw new Error(`Google Trends RSS error: ${response.status}`);
+    }
+
+    return response.text();
+  },
+
+  transform(text, region) {
+    const items = select(text, 'item', {
+      xml: true,
+      fields: {
+        title: 'title',
+        traffic: 'ht:approx_traffic',
+        newsTitle: 'ht:news_item ht:news_item_title',
+        newsUrl: 'ht:news_item ht:news_item_url',
+        newsSource: 'ht:news_item ht:news_item_source'
+      }
+    });
+    const trends = [];
+
+    for (const { fields } of items) {
+      if (trends.length >= 30) break;
+
+      const title = fields.title || '';
+      if (!title) continue;
+
+      // Traffic estimate ("200K+", "1,000+")
+      const traffic = fields.traffic || '1K+';
+
+      // Parse traffic string to number
+      let viewCount = 0;
+      const trafficNumMatch = traffic.replace(/,/g, '').match(/(\d+)(K|M|B)?/i);
+      if (trafficNumMatch) {
+        viewCount = parseInt(trafficNumMatch[1]);
+        if (trafficNumMatch[2]) {
+          const multiplier = { 'K': 1000, 'M': 1000000, 'B': 1000000000 };
+          viewCount *= multiplier[trafficNumMatch[2].toUpperCase()] || 1;
+        }
+      }
+
+      // First news item for the description
+      const newsTitle = fields.newsTitle || '';
+      const newsUrl = fields.newsUrl || '';
+      const newsSource = fields.newsSource || '';
+
+      const description = newsTitle || `Trending on Google: ${title}`;
+      const keywords = title.toLowerCase().split(/\s+/).filter(w => w.length > 2 || /[^\x00-\x7f]/.test(w));
+
+      trends.push({
+        hashtag: `#${title.replace(/\s+/g, '').toLowerCase()}`,
+        displayName: title,
+        views: viewCount,
+        videoCount: 0,
+        growth5h: 0,
+        growth24h: Math.min(500, Math.floor(viewCount / 1000) + 50), // Estimate based on traffic
+        growth7d: 0,
+        description: description,
+        keywords: keywords.slice(0, 5),
+        rank: trends.length + 1,
+        rankDiff: 0,
+        industry: null,
+        url: `https://trends.google.com/trends/explore?q=${encodeURIComponent(title)}&geo=${region.code}`,
+        articles: newsTitle ? [{
+          title: newsTitle,
+          url: newsUrl,
+          source: newsSource
+        }] : []
+      });
+    }
+
+    return trends;
+  },
+
+  score(trend) {
+    // Score based on rank (top rank = higher score)
+    return Math.max(0, 100 - (trend.rank * 4));
+  },
+
+  texts(text, region) {
+    // Search terms and every news headline
+    return select(text, 'item title, item ht:news_item', {
+      xml: true,
+      fields: { title: 'ht:news_item_title', url: 'ht:news_item_url' }
+    }).map(element => element.name === 'title'
+      ? { text: element.text, url: `https://trends.google.com/trends/explore?q=${encodeURIComponent(element.text)}&geo=${region.code}` }
+      : { text: element.fields.title, url: element.fields.url || null })
+      .filter(entry => entry.text);
+  }
+};
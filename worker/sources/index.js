@@ -0,0 +1,160 @@
+/**
+ * Source adapter registry.
+ *
+ * Each source is a module whose default export is an adapter:
+ *
+ *   id                    source key used in trend.sources / trend.scores
+ *   weight                share of the aggregate score (relative to the other sources)
+ *   timeoutMs             fetch + transform budget; a slow source is dropped, not awaited
+ *   enabled               optional, defaults to true
+ *   requires              optional, env vars (API keys) it needs; without them
+ *                         it is disabled unless SOURCE_<ID>_ENABLED says otherwise
+ *   regions               optional, codes of the regions it covers (see regions.js);
+ *                         defaults to every region
+ *   regional              true when its items are specific to the region (Google,
+ *                         trends24) rather than global (Reddit, 4chan)
+ *   fetch(env, fetchUrl, region)
+ *                         raw payload (JSON, RSS text, HTML ...); throws on failure.
+ *                         Requests go through fetchUrl (same signature as fetch)
+ *                         so HTTP errors are reported even when swallowed
+ *   transform(raw, region)
+ *                         list of trend items (hashtag, displayName, views, growth*, rank ...)
+ *   score(item)           source-specific score, 0-100
+ *   texts(raw, region)    optional, every piece of fetched text as [{ text, url }]
+ *                         (titles, bodies, replies) for ticker mention counts
+ *                         (see ../mentions.js); defaults to the trend names
+ *
+ * Any adapter can be toggled or retuned from env vars without code changes,
+ * with the id upper-cased (4chan -> SOURCE_4CHAN_*):
+ *
+ *   SOURCE_<ID>_ENABLED     "false" / "0" to disable, "true" / "1" to enable
+ *   SOURCE_<ID>_WEIGHT      e.g. "0.4"
+ *   SOURCE_<ID>_TIMEOUT_MS  e.g. "15000"
+ *
+ * To add a source, create a module here and append it to SOURCES.
+ */
+
+import tiktok from './tiktok.js';
+import google from './google.js';
+import reddit from './reddit.js';
+import twitter from './twitter.js';
+import chan from './chan.js';
+import bluesky from './bluesky.js';
+import farcaster from './farcaster.js';
+import youtube from './youtube.js';
+
+export const SOURCES = [tiktok, google, reddit, twitter, chan, bluesky, farcaster, youtube];
+
+function envPrefix(id) {
+  return `SOURCE_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+class TimeoutError extends Error {}
+
+// Whether an adapter covers a region (a region object from regions.js)
+export function coversRegion(source, region) {
+  return !source.regions || source.regions.includes(region.code);
+}
+
+// Env vars in source.requires that aren't set
+export function missingRequirements(source, env) {
+  return (source.requires || []).filter(name => !env[name]);
+}
+
+// All adapters with env overrides applied
+export function resolveSources(env) {
+  return SOURCES.map(source => {
+    const prefix = envPrefix(source.id);
+    const configured = missingRequirements(source, env).length === 0;
+    return {
+      ...source,
+      enabled: parseBoolean(env[`${prefix}_ENABLED`], (source.enabled ?? true) && configured),
+      weight: parseNumber(env[`${prefix}_WEIGHT`], source.weight),
+      timeoutMs: parseNumber(env[`${prefix}_TIMEOUT_MS`], source.timeoutMs)
+    };
+  });
+}
+
+// Mention texts of a source without its own texts(): the trend names
+export function trendTexts(trends) {
+  return trends.map(trend => ({ text: trend.displayName || trend.hashtag, url: trend.url }));
+}
+
+// Fetch and transform one source. Never throws: a failing or slow source
+// contributes no trends and the others carry on. Returns
+// { trends, texts, status }, texts as returned by source.texts:
+//
+//   status      "ok", "degraded" (some requests failed), "empty" (nothing
+//               parsed), "timeout" or "error"
+//   httpStatus  first failing HTTP status, else the last one seen (null if no response)
+//   latencyMs   time spent fetching and parsing
+//   items       trend items parsed
+//   error       what went wrong, or null
+export async function runSource(source, env, region) {
+  const started = Date.now();
+  const status = { status: 'error', httpStatus: null, latencyMs: 0, items: 0, error: null };
+  let failedRequests = 0;
+
+  const fetchUrl = async (url, init) => {
+    try {
+      const response = await fetch(url, init);
+      if (status.httpStatus === null || status.httpStatus < 400) {
+        status.httpStatus = response.status;
+      }
+      if (!response.ok) {
+        failedRequests++;
+        status.error = status.error || `HTTP ${response.status} from ${new URL(url).hostname}`;
+      }
+      return response;
+    } catch (error) {
+      failedRequests++;
+      status.error = status.error || error.message;
+      throw error;
+    }
+  };
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(`Timed out after ${source.timeoutMs}ms`)), source.timeoutMs);
+  });
+
+  let trends = [];
+  let texts = [];
+  try {
+    ({ trends, texts } = await Promise.race([
+      source.fetch(env, fetchUrl, region).then(raw => {
+        const items = source.transform(raw, region);
+        return { trends: items, texts: source.texts ? source.texts(raw, region) : trendTexts(items) };
+      }),
+      timeout
+    ]));
+
+    if (trends.length === 0) {
+      status.status = 'empty';
+      status.error = status.error || 'No items parsed';
+    } else {
+      status.status = failedRequests > 0 ? 'degraded' : 'ok';
+    }
+    console.log(`Parsed ${trends.length} ${source.id} trends (${region.code})`);
+  } catch (error) {
+    status.status = error instanceof TimeoutError ? 'timeout' : 'error';
+    status.error = error.message;
+    console.error(`${source.id} fetch error:`, error);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  status.latencyMs = Date.now() - started;
+  status.items = trends.length;
+  return { trends, texts, status };
+}
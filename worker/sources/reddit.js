@@ -0,0 +1,163 @@
+/**
+ * Reddit source: hot posts from meme and crypto subreddits via the public
+ * JSON API, clustered into topics (see ../topics.js).
+ */
+
+import { clusterPosts } from '../topics.js';
+
+// Reddit subreddits to monitor for meme trends
+const REDDIT_SUBREDDITS = [
+  'memes',           // General meme culture
+  'CryptoCurrency',  // Crypto community
+  'CryptoMoonShots', // Early memecoin signals
+  'wallstreetbets'   // Retail trading memes
+];
+
+export default {
+  id: 'reddit',
+  weight: 0.25,
+  timeoutMs: 10000,
+
+  async fetch(env, fetchUrl) {
+    // Fetch hot posts from multiple subreddits in parallel
+    const subredditResults = await Promise.all(
+      REDDIT_SUBREDDITS.map(sub => fetchSubredditPosts(sub, fetchUrl))
+    );
+
+    // Flatten and combine results
+    return subredditResults.flat();
+  },
+
+  transform(allPosts) {
+    // Group posts about the same coin, person or meme into topics
+    const topics = clusterPosts(allPosts.map(post => ({
+      ...post,
+      comments: post.numComments
+    })));
+
+    // Topics are sorted by combined score
+    return topics.slice(0, 20).map((topic, index) => {
+      const post = topic.posts[0];
+      const subreddits = [...new Set(topic.posts.map(p => p.subreddit))];
+
+      // Calculate growth estimate based on score and the age of the top post
+      const ageHours = (Date.now() / 1000 - post.createdUtc) / 3600;
+      const scorePerHour = topic.score / Math.max(1, ageHours);
+      const growth24h = Math.min(1000, Math.round(scorePerHour * 10));
+      // Estimate 7d growth based on rank position and activity
+      const growth7d = Math.min(2000, Math.round(growth24h * (1 + (20 - index) * 0.1)));
+
+      const postCount = topic.posts.length;
+      const description = postCount > 1
+        ? `${postCount} posts on r/${subreddits.join(', r/')} with ${topic.score.toLocaleString()} upvotes`
+        : `Trending on r/${subreddits.join(', r/')} with ${topic.score.toLocaleString()} upvotes`;
+
+      return {
+        hashtag: `#${topic.key || normalizeRedditTitle(post.title)}`,
+        displayName: topic.label.slice(0, 50) + (topic.label.length > 50 ? '...' : ''),
+        views: topic.score * 100, // Rough estimate: 100 views per upvote
+        videoCount: topic.comments,
+        growth5h: Math.round(growth24h / 4),
+        growth24h: growth24h,
+        growth7d: growth7d,
+        description: description,
+        keywords: topic.keywords.slice(0, 5),
+        rank: index + 1,
+        rankDiff: 0,
+        industry: null,
+        url: `https://reddit.com${post.permalink}`,
+        subreddits: subreddits,
+        redditScore: topic.score,
+        numComments: topic.comments,
+        postCount: postCount,
+        tickers: topic.tickers,
+        topPosts: topic.posts.slice(0, 3).map(p => ({
+          title: p.title,
+          url: `https://reddit.com${p.permalink}`,
+          subreddit: p.subreddit,
+          score: p.score,
+          comments: p.numComments
+        }))
+      };
+    });
+  },
+
+  score(trend) {
+    // Score based on Reddit score (upvotes) and cross-posting
+    const redditScore = trend.redditScore || 0;
+    const subredditCount = trend.subreddits?.length || 1;
+    // Base score from upvotes (log scale)
+    let sourceScore = Math.min(100, Math.log10(redditScore + 1) * 20);
+    // Boost for cross-posting to multiple subreddits
+    sourceScore *= (1 + (subredditCount - 1) * 0.2);
+    // Boost for topics several posts are about
+    sourceScore *= (1 + Math.min(5, (trend.postCount || 1) - 1) * 0.1);
+    return Math.min(100, sourceScore);
+  },
+
+  texts(allPosts) {
+    // Titles and self-post bodies
+    return allPosts.map(post => ({
+      text: post.selftext ? `${post.title}\n${post.selftext}` : post.title,
+      url: `https://reddit.com${post.permalink}`
+    }));
+  }
+};
+
+async function fetchSubredditPosts(subreddit, fetchUrl) {
+  try {
+    // Use Reddit's JSON API (no auth needed for public data)
+    const url = `https://www.reddit.com/r/${subreddit}/hot.json?limit=25`;
+
+    const response = await fetchUrl(url, {
+      headers: {
+        'User-Agent': 'MemeAggregator/1.0'
+      }
+    });
+
+    if (!response.ok) {
+      console.error(`Reddit API error for r/${subreddit}:`, response.status);
+      return [];
+    }
+
+    const data = await response.json();
+
+    if (!data.data?.children) {
+      return [];
+    }
+
+    return data.data.children
+      .filter(child => child.kind === 't3') // Only posts (t3)
+      .map(child => child.data)
+      .filter(post => {
+        // Filter out stickied posts and very low score posts
+        if (post.stickied) return false;
+        if (post.score < 100) return false;
+        return true;
+      })
+      .map(post => ({
+        title: post.title,
+        selftext: post.selftext || '',
+        score: post.score,
+        numComments: post.num_comments,
+        subreddit: post.subreddit,
+        permalink: post.permalink,
+        createdUtc: post.created_utc,
+        url: post.url,
+        isVideo: post.is_video,
+        thumbnail: post.thumbnail
+      }));
+  } catch (error) {
+    console.error(`Error fetching r/${subreddit}:`, error);
+    return [];
+  }
+}
+
+function normalizeRedditTitle(title) {
+  // Hashtag for a post that isn't part of a larger topic
+  return title
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '') // Remove punctuation
+    .replace(/\s+/g, '')     // Remove spaces
+    .slice(0, 30);           // Limit length
+}
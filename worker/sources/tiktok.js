@@ -0,0 +1,124 @@
+/**
+ * TikTok source: trending hashtags from the Apify TikTok Trends Scraper
+ * (~$5/mo). Reads the dataset of the actor's last run and starts a new run
+ * when there is none yet. That run scrapes a single region (US), so the
+ * source only covers that region.
+ */
+
+import { DEFAULT_REGION } from '../regions.js';
+
+// TikTok scraper input configuration
+const TIKTOK_SCRAPER_INPUT = {
+  numberOfItems: 30,
+  type: "hashtag",
+  region: DEFAULT_REGION,
+  resultsPerPage: 30,
+  adsScrapeHashtags: true,
+  adsCountryCode: DEFAULT_REGION,
+  adsTimeRange: "7"
+};
+
+export default {
+  id: 'tiktok',
+  weight: 0.20,
+  timeoutMs: 10000,
+  regions: [DEFAULT_REGION],
+  regional: true,
+
+  async fetch(env, fetchUrl) {
+    const apifyUrl = `https://api.apify.com/v2/acts/${env.ACTOR_ID}/runs/last/dataset/items?token=${env.APIFY_TOKEN}`;
+    const apifyResponse = await fetchUrl(apifyUrl);
+
+    if (!apifyResponse.ok) {
+      if (apifyResponse.status === 404) {
+        console.log('No TikTok runs found, starting new run');
+        await startTikTokRun(env, fetchUrl);
+        return [];
+      }
+      throw new Error(`TikTok API error: ${apifyResponse.status}`);
+    }
+
+    return apifyResponse.json();
+  },
+
+  transform(data) {
+    if (!data || data.length === 0) {
+      return [];
+    }
+    return transformTikTokData(data);
+  },
+
+  score(trend) {
+    // Score based on growth rates
+    const avgGrowth = (trend.growth5h + trend.growth24h + trend.growth7d) / 3;
+    return Math.min(100, Math.max(0, avgGrowth / 10));
+  }
+};
+
+async function startTikTokRun(env, fetchUrl) {
+  const runUrl = `https://api.apify.com/v2/acts/${env.ACTOR_ID}/runs?token=${env.APIFY_TOKEN}`;
+  await fetchUrl(runUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(TIKTOK_SCRAPER_INPUT)
+  });
+}
+
+function transformTikTokData(data) {
+  let items = [];
+
+  if (Array.isArray(data)) {
+    items = data;
+  } else if (data.hashtags) {
+    items = data.hashtags;
+  } else if (data.trends) {
+    items = data.trends;
+  }
+
+  return items.slice(0, 30).map((item, index) => {
+    const hashtag = item.name || item.hashtag || item.title || item.challengeName;
+    const cleanHashtag = hashtag.startsWith('#') ? hashtag : '#' + hashtag;
+    const videoCount = item.videoCount || 0;
+    const viewCount = item.viewCount || 0;
+
+    let growth5h = 0;
+    let growth24h = 0;
+    let growth7d = 0;
+
+    if (item.trendingHistogram && item.trendingHistogram.length > 0) {
+      const histogram = item.trendingHistogram;
+      const latest = histogram[histogram.length - 1]?.value || 0;
+      const oldest = histogram[0]?.value || 0;
+
+      if (oldest > 0) {
+        growth7d = Math.round(((latest - oldest) / oldest) * 100);
+      }
+
+      if (item.rankDiff) {
+        growth24h = item.rankDiff * 10;
+        growth5h = Math.round(growth24h / 4);
+      }
+    }
+
+    const description = item.industryName
+      ? `Trending in ${item.industryName}`
+      : `Trending ${cleanHashtag} on TikTok`;
+
+    const tagName = cleanHashtag.replace(/^#/, '').toLowerCase();
+
+    return {
+      hashtag: cleanHashtag,
+      views: viewCount || videoCount * 1000,
+      videoCount: videoCount,
+      growth5h: growth5h,
+      growth24h: growth24h,
+      growth7d: growth7d,
+      description: description,
+      keywords: [tagName],
+      rank: item.rank || index + 1,
+      rankDiff: item.rankDiff || 0,
+      industry: item.industryName || null,
+      url: item.url || `https://www.tiktok.com/tag/${tagName}`
+    };
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * Twitter/X source: trending topics scraped from the region's trends24.in page.
+ */
+
+import { select } from '../markup.js';
+
+export default {
+  id: 'twitter',
+  weight: 0.30,
+  timeoutMs: 8000,
+  regional: true,
+
+  async fetch(env, fetchUrl, region) {
+    // Scrape trends from trends24.in (aggregates Twitter/X trending topics)
+    const response = await fetchUrl(`https://trends24.in/${region.trends24}/`, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; MemeAggregator/1.0)'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Trends24 error: ${response.status}`);
+    }
+
+    return response.text();
+  },
+
+  transform(html) {
+    // Trend links, e.g. <a href="https://twitter.com/search?q=TREND" class=trend-link>TREND</a>
+    // (the href may point at x.com)
+    const trends = new Map(); // Use Map to dedupe
+
+    for (const link of select(html, 'a.trend-link')) {
+      const trendName = link.text;
+      if (!trendName) continue;
+
+      // Skip if already seen (trends24 shows multiple time periods)
+      if (trends.has(trendName.toLowerCase())) continue;
+
+      // Search query from the link, falling back to the trend name
+      let query = trendName;
+      try {
+        query = new URL(link.attrs.href, 'https://trends24.in/').searchParams.get('q') || trendName;
+      } catch {
+        // Keep the trend name
+      }
+
+      // Determine if it's a hashtag, cashtag, or regular trend
+      const isHashtag = trendName.startsWith('#');
+      const isCashtag = trendName.startsWith('$');
+
+      trends.set(trendName.toLowerCase(), {
+        name: trendName,
+        query,
+        isHashtag,
+        isCashtag
+      });
+
+      // Limit to top 30 unique trends
+      if (trends.size >= 30) break;
+    }
+
+    // Convert to array and format
+    return Array.from(trends.values()).map((trend, index) => {
+      const cleanName = trend.name.replace(/^[#$]/, '').toLowerCase();
+      const keywords = cleanName.split(/\s+/).filter(w => w.length > 2);
+
+      // Estimate growth based on rank position (higher rank = more recent/active)
+      const growth24h = Math.max(100, 250 - index * 6);
+      const growth5h = Math.round(growth24h / 3);
+      const growth7d = Math.round(growth24h * 1.5);
+
+      return {
+        hashtag: trend.isHashtag ? trend.name : `#${cleanName.replace(/\s+/g, '')}`,
+        displayName: trend.name,
+        views: 0, // Twitter doesn't provide view counts via this method
+        videoCount: 0,
+        growth5h: growth5h,
+        growth24h: growth24h,
+        growth7d: growth7d,
+        description: `Trending on X: ${trend.name}`,
+        keywords: keywords.length > 0 ? keywords : [cleanName],
+        rank: index + 1,
+        rankDiff: 0,
+        industry: null,
+        url: `https://twitter.com/search?q=${encodeURIComponent(trend.query)}`,
+        isHashtag: trend.isHashtag,
+        isCashtag: trend.isCashtag
+      };
+    });
+  },
+
+  score(trend) {
+    // Score based on rank (top trends score higher)
+    let sourceScore = Math.max(0, 100 - (trend.rank * 3));
+    // Boost for cashtags (crypto-related) and hashtags
+    if (trend.isCashtag) sourceScore *= 1.3;
+    if (trend.isHashtag) sourceScore *= 1.1;
+    return Math.min(100, sourceScore);
+  }
+};
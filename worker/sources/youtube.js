@@ -0,0 +1,90 @@
+/**
+ * YouTube source: the region's most popular videos from the YouTube Data API
+ * (YOUTUBE_API_KEY secret, 1 quota unit per refresh).
+ */
+
+import { extractKeywords } from '../topics.js';
+
+const YOUTUBE_VIDEOS_URL = 'https://www.googleapis.com/youtube/v3/videos';
+
+export default {
+  id: 'youtube',
+  weight: 0.10,
+  timeoutMs: 8000,
+  regional: true,
+  requires: ['YOUTUBE_API_KEY'],
+
+  async fetch(env, fetchUrl, region) {
+    const params = new URLSearchParams({
+      part: 'snippet,statistics',
+      chart: 'mostPopular',
+      regionCode: region.code,
+      maxResults: '30',
+      key: env.YOUTUBE_API_KEY
+    });
+    const response = await fetchUrl(`${YOUTUBE_VIDEOS_URL}?${params}`);
+
+    if (!response.ok) {
+      throw new Error(`YouTube API error: ${response.status}`);
+    }
+
+    return response.json();
+  },
+
+  transform(data) {
+    const videos = data?.items || [];
+
+    return videos.slice(0, 30).map((video, index) => {
+      const snippet = video.snippet || {};
+      const stats = video.statistics || {};
+      const title = snippet.title || '';
+      const views = Number(stats.viewCount) || 0;
+
+      // Views per hour since upload, as a growth estimate
+      const ageHours = snippet.publishedAt ? (Date.now() - Date.parse(snippet.publishedAt)) / 3600000 : 24;
+      const viewsPerHour = views / Math.max(1, ageHours);
+      const growth24h = Math.min(1000, Math.round(viewsPerHour / 1000));
+
+      // A hashtag in the title names the trend better than the headline
+      const titleHashtag = title.match(/#([\p{L}\p{N}_]{3,})/u)?.[1];
+      const headline = title.replace(/\s*#\S+/g, '').trim() || title;
+      const keywords = extractKeywords(headline);
+
+      return {
+        hashtag: `#${(titleHashtag || headline.replace(/[^\p{L}\p{N}]/gu, '')).toLowerCase().slice(0, 30)}`,
+        displayName: headline.slice(0, 50) + (headline.length > 50 ? '...' : ''),
+        views: views,
+        videoCount: 0,
+        growth5h: Math.round(growth24h / 4),
+        growth24h: growth24h,
+        growth7d: 0,
+        description: `Trending on YouTube: ${snippet.channelTitle || 'unknown channel'} - ${views.toLocaleString()} views`,
+        keywords: keywords.length > 0 ? keywords : (snippet.tags || []).slice(0, 5).map(tag => tag.toLowerCase()),
+        rank: index + 1,
+        rankDiff: 0,
+        industry: null,
+        url: `https://www.youtube.com/watch?v=${video.id}`,
+        channelTitle: snippet.channelTitle || null,
+        likes: Number(stats.likeCount) || 0,
+        comments: Number(stats.commentCount) || 0,
+        publishedAt: snippet.publishedAt || null,
+        viewsPerHour: Math.round(viewsPerHour)
+      };
+    });
+  },
+
+  score(trend) {
+    // Score based on rank and how fast the views come in (log scale)
+    const rankScore = Math.max(0, 100 - (trend.rank * 3));
+    const velocityScore = Math.min(100, Math.log10(trend.viewsPerHour + 1) * 20);
+    return Math.min(100, (rankScore + velocityScore) / 2);
+  },
+
+  texts(data) {
+    // Titles and descriptions
+    return (data?.items || []).map(video => ({
+      text: `${video.snippet?.title || ''}\n${video.snippet?.description || ''}`,
+      url: `https://www.youtube.com/watch?v=${video.id}`
+    }));
+  }
+};
@@ -0,0 +1,112 @@
+/**
+ * Category taxonomy: labels each merged trend with every category it fits,
+ * with a confidence.
+ *
+ * Terms match whole words (or runs of words for phrases like "elon musk"),
+ * after the same normalization as trend names (see entities.js), so "ai"
+ * matches "AI agent" but not "said", and "rat" doesn't match "celebrate".
+ * Camel-case hashtags are split first ("#CatVideo" -> cat video).
+ *
+ * Where a term is found decides how much it counts:
+ *
+ *   name      the trend's name, display name or a member's name   0.6
+ *   keywords  the trend's keywords                                  0.4
+ *   text      description and news headlines                        0.2
+ *
+ * A category's confidence combines its matched terms (1 - product of
+ * (1 - weight)), so two keyword hits beat one, and labels below
+ * MIN_CONFIDENCE are dropped: a single mention in a headline is not enough.
+ *
+ * The taxonomy extends with CATEGORY_<NAME>_TERMS vars: comma-separated terms
+ * added to that category, which is created when it doesn't exist
+ * (CATEGORY_SPORTS_TERMS = "nfl,nba,world series").
+ */
+
+import { normalizeName } from './entities.js';
+
+export const DEFAULT_TAXONOMY = {
+  animal: ['dog', 'cat', 'penguin', 'hippo', 'frog', 'pepe', 'doge', 'shiba', 'inu', 'moo', 'wif', 'moodeng', 'panda', 'bear', 'bird', 'fish', 'whale', 'monkey', 'ape', 'rat', 'hamster', 'duck', 'chicken', 'cow', 'pig', 'horse', 'bunny', 'rabbit', 'turtle', 'croc', 'gator', 'snake', 'squirrel', 'capybara'],
+  ai: ['ai', 'gpt', 'claude', 'bot', 'agent', 'terminal', 'goat', 'truth', 'chatgpt', 'openai', 'llm', 'neural', 'machine', 'robot', 'auto'],
+  absurdist: ['brainrot', 'skibidi', 'sigma', 'ohio', 'rizz', 'gyatt', 'delulu', 'unhinged', 'cursed', 'chaos', 'random', 'weird', 'sus', 'slay', 'aura', 'npc', 'mewing', 'based'],
+  crypto: ['coin', 'token', 'moon', 'hodl', 'diamond', 'hands', 'pump', 'rug', 'degen', 'wagmi', 'ngmi', 'gm', 'solana', 'sol', 'eth', 'btc', 'crypto', 'web3', 'nft', 'memecoin', 'bitcoin', 'ethereum', 'airdrop'],
+  political: ['trump', 'biden', 'harris', 'kamala', 'vance', 'obama', 'congress', 'senate', 'senator', 'president', 'white house', 'election', 'democrat', 'democrats', 'republican', 'republicans', 'gop', 'maga', 'politics', 'political', 'governor', 'parliament', 'prime minister'],
+  celebrity: ['taylor swift', 'kardashian', 'kanye', 'drake', 'beyonce', 'rihanna', 'diddy', 'elon musk', 'celebrity', 'celeb', 'actor', 'actress', 'singer', 'rapper', 'red carpet', 'grammys', 'oscars', 'met gala', 'hollywood'],
+  gaming: ['gaming', 'gamer', 'nintendo', 'playstation', 'xbox', 'steam', 'fortnite', 'minecraft', 'roblox', 'pokemon', 'zelda', 'gta', 'twitch', 'speedrun', 'esports', 'league of legends', 'valorant', 'call of duty', 'elden ring']
+};
+
+const FIELD_WEIGHTS = { name: 0.6, keywords: 0.4, text: 0.2 };
+
+const MIN_CONFIDENCE = 0.3;
+const MAX_LABELS = 3;
+
+// Normalized words of a text, " "-joined and padded so " term " finds whole
+// words only
+function wordString(text) {
+  const words = (text || '')
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+    .split(/[^\p{L}\p{M}\p{N}\p{Extended_Pictographic}]+/u)
+    .map(normalizeName)
+    .filter(Boolean);
+  return ` ${words.join(' ')} `;
+}
+
+// category -> normalized terms: DEFAULT_TAXONOMY plus CATEGORY_<NAME>_TERMS
+export function taxonomyConfig(env) {
+  const taxonomy = Object.fromEntries(Object.entries(DEFAULT_TAXONOMY).map(([name, terms]) => [name, [...terms]]));
+
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(/^CATEGORY_([A-Z0-9_]+)_TERMS$/);
+    if (!match || typeof value !== 'string') continue;
+
+    const name = match[1].toLowerCase();
+    const terms = value.split(',').map(term => term.trim()).filter(Boolean);
+    taxonomy[name] = [...(taxonomy[name] || []), ...terms];
+  }
+
+  return Object.fromEntries(Object.entries(taxonomy).map(([name, terms]) => [
+    name,
+    [...new Set(terms.map(term => wordString(term).trim()).filter(Boolean))]
+  ]));
+}
+
+// The trend's text by field, as word strings
+function trendFields(trend) {
+  const names = [trend.name, trend.displayName, ...(trend.members || []).map(m => m.displayName)];
+  return {
+    name: names.filter(Boolean).map(wordString),
+    keywords: (trend.keywords || []).map(wordString),
+    text: [trend.description, ...(trend.articles || []).map(a => a.title)].filter(Boolean).map(wordString)
+  };
+}
+
+// { category, categories } for a trend:
+//   categories  [{ name, confidence, terms }], most confident first, at most
+//               MAX_LABELS; terms are the matched taxonomy terms
+//   category    name of the first label, or "unknown"
+export function categorize(trend, taxonomy) {
+  const fields = trendFields(trend);
+  const labels = [];
+
+  for (const [name, terms] of Object.entries(taxonomy)) {
+    let miss = 1;
+    const matched = [];
+
+    for (const term of terms) {
+      // Each term counts once, where it weighs most
+      const field = Object.keys(FIELD_WEIGHTS).find(f => fields[f].some(words => words.includes(` ${term} `)));
+      if (!field) continue;
+      miss *= 1 - FIELD_WEIGHTS[field];
+      matched.push(term);
+    }
+
+    const confidence = Math.round((1 - miss) * 100) / 100;
+    if (confidence >= MIN_CONFIDENCE) {
+      labels.push({ name, confidence, terms: matched });
+    }
+  }
+
+  const categories = labels
+    .sort((a, b) => b.confidence - a.confidence || b.terms.length - a.terms.length)
+    .slice(0, MAX_LABELS);
+  return { category: categories[0]?.name || 'unknown', categories };
+}
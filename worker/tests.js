@@ -0,0 +1,39 @@
+/**
+ * Unit checks for the worker's pure logic (entity resolution, clustering,
+ * scoring, relevance, taxonomy), in the style of fixtures.js. Run with
+ * `npm test`.
+ *
+ * Each file in tests/ exports an object of check name -> function; a check
+ * passes when it returns (or resolves) without throwing. Use node:assert.
+ */
+
+import { readdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const TESTS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'tests');
+
+let passed = 0;
+let total = 0;
+
+console.log(`Running unit checks in ${TESTS_DIR}`);
+
+for (const file of readdirSync(TESTS_DIR).filter(name => name.endsWith('.js')).sort()) {
+  const { default: checks } = await import(pathToFileURL(join(TESTS_DIR, file)));
+  console.log(`\n${file}`);
+
+  for (const [name, check] of Object.entries(checks)) {
+    total++;
+    try {
+      await check();
+      passed++;
+      console.log(`  PASS ${name}`);
+    } catch (error) {
+      console.log(`  FAIL ${name}`);
+      String(error.message).split('\n').forEach(line => console.log(`    ${line}`));
+    }
+  }
+}
+
+console.log(`\n${passed}/${total} checks passed`);
+process.exitCode = passed === total ? 0 : 1;
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { normalizeName, resolveEntities } from '../entities.js';
+
+// A trend as normalizeTrend() builds it, reduced to what resolution reads
+function trend(displayName, keywords) {
+  const name = normalizeName(displayName);
+  return { name, displayName, keywords: keywords || [name] };
+}
+
+// Display names of each group, in group order
+function groups(trends) {
+  return resolveEntities(trends).map(group => group.trends.map(t => t.displayName));
+}
+
+export default {
+  'normalizeName folds Latin accents and keeps other scripts'() {
+    assert.equal(normalizeName('#MooDeng'), 'moodeng');
+    assert.equal(normalizeName('Café Run'), 'caferun');
+    assert.equal(normalizeName('#東京タワー'), '東京タワー');
+    assert.equal(normalizeName('🔥フェス'), '🔥フェス');
+  },
+
+  'hashtag, cashtag and title of the same entity resolve together'() {
+    const resolved = resolveEntities([trend('#MooDeng'), trend('$MOODENG'), trend('Moo Deng hippo is back at the zoo')]);
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].name, 'moodeng');
+  },
+
+  'aliases map tickers to their canonical name'() {
+    const resolved = resolveEntities([trend('$WIF'), trend('dogwifhat')]);
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].name, 'dogwifhat');
+  },
+
+  'a title naming two entities does not chain their groups'() {
+    assert.deepEqual(groups([trend('#MooDeng'), trend('Pepe'), trend('Moo Deng and Pepe rally together')]), [
+      ['#MooDeng', 'Moo Deng and Pepe rally together'],
+      ['Pepe']
+    ]);
+  },
+
+  'names shorter than four characters do not match inside titles'() {
+    assert.equal(resolveEntities([trend('SOL'), trend('Sol price hits a new high')]).length, 2);
+  },
+
+  'long titles merge on strong word overlap only'() {
+    assert.equal(resolveEntities([
+      trend('Baby hippo escapes enclosure at Thai zoo', ['baby', 'hippo', 'escapes', 'enclosure', 'zoo']),
+      trend('Thai zoo baby hippo escapes enclosure again', ['thai', 'zoo', 'baby', 'hippo', 'escapes'])
+    ]).length, 1);
+    assert.equal(resolveEntities([
+      trend('Zoo opens new penguin exhibit', ['zoo', 'opens', 'penguin', 'exhibit']),
+      trend('Zoo ticket prices rise next year', ['zoo', 'ticket', 'prices', 'rise'])
+    ]).length, 2);
+  }
+};
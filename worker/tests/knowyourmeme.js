@@ -0,0 +1,22 @@
+import assert from 'node:assert/strict';
+import { matchSimilarity } from '../knowyourmeme.js';
+
+export default {
+  'the same name ignoring spacing and punctuation matches fully'() {
+    assert.equal(matchSimilarity('moodeng', 'Moo Deng'), 1);
+    assert.equal(matchSimilarity('Peanut the Squirrel', 'Peanut The Squirrel!'), 1);
+  },
+
+  'a one-word term does not match a longer entry containing it'() {
+    assert.equal(matchSimilarity('Deng', 'Moo Deng'), 0);
+    assert.equal(matchSimilarity('cat', 'Grumpy Cat'), 0);
+    assert.equal(matchSimilarity('trump', 'Donald Trump'), 0);
+    assert.equal(matchSimilarity('hippo', 'Hungry Hungry Hippos'), 0);
+  },
+
+  'a term with every word of the entry scores by word overlap'() {
+    assert.equal(matchSimilarity('Moo Deng hippo', 'Moo Deng'), 2 / 3);
+    assert.equal(matchSimilarity('peanut squirrel', 'Peanut the Squirrel'), 2 / 3);
+    assert.equal(matchSimilarity('Moo Deng baby hippo at the zoo', 'Moo Deng'), 2 / 7);
+  }
+};
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import google from '../sources/google.js';
+import twitter from '../sources/twitter.js';
+import { parseMemePage, parseSearchResults } from '../knowyourmeme.js';
+import { getRegion } from '../regions.js';
+
+// Markup quirks the old regexes broke on, trimmed to the elements the parsers
+// read. Real pages are replayed by fixtures.js.
+
+const US = getRegion('US');
+
+const TRENDS24 = `
+<script>window.preview = '<a href="https://twitter.com/search?q=NotATrend" class=trend-link>NotATrend</a>';</script>
+<div class=list-container><ol class=trend-card__list>
+<li><span class=trend-name><a href="https://twitter.com/search?q=%23MooDeng" class=trend-link>#MooDeng</a></span>
+<li><span class=trend-name><a class="trend-link" href="https://x.com/search?q=%24WIF">$WIF</a></span>
+<li><span class=trend-name><a
+    target=_blank href='https://x.com/search?q=Tom+%26+Jerry'
+    class="trend-link">Tom &amp; Jerry</a></span>
+<!-- <li><a href="https://twitter.com/search?q=Hidden" class=trend-link>Hidden</a> -->
+</ol></div>
+<div class=list-container><ol class=trend-card__list>
+<li><span class=trend-name><a href="https://twitter.com/search?q=%23MooDeng" class=trend-link>#MooDeng</a></span>
+<li><span class=trend-name><a href="https://twitter.com/search?q=Caf%C3%A9" class=trend-link>Caf&eacute; Run</a></span>
+</ol></div>`;
+
+const GOOGLE_RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss xmlns:ht="https://trends.google.com/trending/rss" version="2.0"><channel>
+<item>
+  <title>Tom &amp; Jerry</title>
+  <ht:approx_traffic>1,000+</ht:approx_traffic>
+  <ht:news_item>
+    <ht:news_item_title><![CDATA[Tom & Jerry reboot tops streaming charts]]></ht:news_item_title>
+    <ht:news_item_url><![CDATA[https://variety.com/tom-and-jerry/?utm_source=rss&utm_medium=feed]]></ht:news_item_url>
+    <ht:news_item_source>Variety</ht:news_item_source>
+  </ht:news_item>
+</item>
+<item><title></title><ht:approx_traffic>500+</ht:approx_traffic></item>
+<item>
+  <ht:approx_traffic>2M+</ht:approx_traffic>
+  <title>pokémon legends</title>
+  <ht:news_item>
+    <ht:news_item_source>IGN</ht:news_item_source>
+    <ht:news_item_title>Pok&#233;mon Legends &#8211; a bold step</ht:news_item_title>
+  </ht:news_item>
+</item>
+</channel></rss>`;
+
+const KYM_SEARCH = `
+<header><a href="/memes/submissions">Submissions</a></header>
+<table class="entry_list"><tr>
+<td><a class="photo" href="/memes/moo-deng"><img alt="Moo Deng"></a><h2><a href="/memes/moo-deng">Moo Deng</a></h2></td>
+<td><h2><a href="/memes/hungry-hungry-hippos">Hungry Hungry Hippos</a></h2></td>
+</tr></table>`;
+
+const KYM_ENTRY = `
+<h1>Moo Deng</h1>
+<dl>
+<dt>Status</dt><dd>Confirmed</dd>
+<dt>Year:</dt><dd><a href="/memes/year/2024">2024</a></dd>
+<dt>Origin</dt><dd><a href="/memes/sites/tiktok">TikTok</a></dd>
+<dt>Tags</dt><dd><a href="/tags/hippo">hippo</a>, <a href="/tags/pygmy-hippo">pygmy hippo</a></dd>
+</dl>`;
+
+export default {
+  'trends24 links parse with any attribute quoting or order, once per trend'() {
+    const trends = twitter.transform(TRENDS24, US);
+
+    assert.deepEqual(trends.map(t => t.displayName), ['#MooDeng', '$WIF', 'Tom & Jerry', 'Café Run']);
+    assert.equal(trends[1].url, 'https://twitter.com/search?q=%24WIF');
+    assert.equal(trends[2].url, 'https://twitter.com/search?q=Tom%20%26%20Jerry');
+    assert.equal(trends[3].url, 'https://twitter.com/search?q=Caf%C3%A9');
+  },
+
+  'Google RSS reads CDATA and entities and skips untitled items'() {
+    const trends = google.transform(GOOGLE_RSS, US);
+
+    assert.deepEqual(trends.map(t => [t.displayName, t.views]), [['Tom & Jerry', 1000], ['pokémon legends', 2000000]]);
+    assert.deepEqual(trends[0].articles, [{
+      title: 'Tom & Jerry reboot tops streaming charts',
+      url: 'https://variety.com/tom-and-jerry/?utm_source=rss&utm_medium=feed',
+      source: 'Variety'
+    }]);
+    assert.equal(trends[1].description, 'Pokémon Legends – a bold step');
+  },
+
+  'Know Your Meme search results skip listing links and photo links'() {
+    assert.deepEqual(parseSearchResults(KYM_SEARCH), [
+      { name: 'Moo Deng', url: 'https://knowyourmeme.com/memes/moo-deng' },
+      { name: 'Hungry Hungry Hippos', url: 'https://knowyourmeme.com/memes/hungry-hungry-hippos' }
+    ]);
+  },
+
+  'a Know Your Meme entry page gives its details panel, a search page none'() {
+    assert.deepEqual(parseMemePage(KYM_ENTRY), {
+      name: 'Moo Deng',
+      status: 'confirmed',
+      origin: 'TikTok',
+      year: 2024,
+      tags: ['hippo', 'pygmy hippo']
+    });
+    assert.equal(parseMemePage(KYM_SEARCH), null);
+  }
+};
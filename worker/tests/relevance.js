@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { checkRelevance, classifyTrends, filterTrends, relevanceConfig } from '../relevance.js';
+
+const CONFIG = relevanceConfig({});
+
+function check(displayName, extra = {}, config = CONFIG) {
+  return checkRelevance({ displayName, ...extra }, config);
+}
+
+export default {
+  'meme trends are relevant'() {
+    assert.deepEqual(check('#MooDeng', { description: 'Baby hippo goes viral' }), { relevance: 'relevant', filterReason: null });
+  },
+
+  'sports, elections and obituaries are demoted with the evidence'() {
+    assert.deepEqual(check('#WorldSeries'), { relevance: 'demoted', filterReason: 'sports ("world series")' });
+    assert.deepEqual(check('Ohio', { description: 'Early voting turnout breaks records' }), { relevance: 'demoted', filterReason: 'election ("early voting")' });
+    assert.deepEqual(check('RIP Jane Doe'), { relevance: 'demoted', filterReason: 'obituary ("RIP Jane Doe")' });
+    assert.equal(check('Jane Doe', { description: 'Actress dies at 88' }).relevance, 'demoted');
+  },
+
+  'RIP, FC and highlights alone are meme vocabulary'() {
+    assert.equal(check('rip bozo').relevance, 'relevant');
+    assert.equal(check('FC', { description: 'fr fr no cap' }).relevance, 'relevant');
+    assert.equal(check('Best highlights of the week').relevance, 'relevant');
+  },
+
+  'FC next to a club name and match highlights count as sports'() {
+    assert.equal(check('Inter Miami', { description: 'Messi scores twice as Orlando FC fall' }).relevance, 'demoted');
+    assert.equal(check('Arsenal vs Chelsea highlights').relevance, 'demoted');
+  },
+
+  'links to sports sites demote a trend'() {
+    assert.deepEqual(check('Big Game', { articles: [{ title: 'Recap', url: 'https://www.espn.com/recap' }] }), {
+      relevance: 'demoted',
+      filterReason: 'sports (links to espn.com)'
+    });
+  },
+
+  'allowlisted terms, cashtags and confirmed memes win over the classifier'() {
+    assert.equal(check('Pepe playoffs').relevance, 'relevant');
+    assert.equal(check('$NFL').relevance, 'relevant');
+    assert.equal(check('Super Bowl', { memeStatus: 'confirmed' }).relevance, 'relevant');
+  },
+
+  'blocklists from env drop trends'() {
+    const config = relevanceConfig({
+      RELEVANCE_BLOCK_TERMS: 'giveaway',
+      RELEVANCE_BLOCK_DOMAINS: 'spam.example',
+      RELEVANCE_BLOCK_CATEGORIES: 'election, political'
+    });
+    assert.deepEqual(check('Free Giveaway', {}, config), { relevance: 'dropped', filterReason: 'blocked term "giveaway"' });
+    assert.deepEqual(check('Deal', { url: 'https://news.spam.example/x' }, config), { relevance: 'dropped', filterReason: 'blocked domain spam.example' });
+    assert.deepEqual(check('Vance', { categories: [{ name: 'political' }] }, config), { relevance: 'dropped', filterReason: 'blocked category political' });
+    assert.deepEqual(check('Midterm results', {}, config), { relevance: 'dropped', filterReason: 'blocked category election ("midterm")' });
+  },
+
+  'terms match whole words only'() {
+    assert.equal(check('Nfluencer drama').relevance, 'relevant');
+    assert.equal(check('Kobe diesel truck').relevance, 'relevant');
+  },
+
+  'filterTrends lists relevant before demoted and leaves out dropped'() {
+    const trends = classifyTrends([
+      { displayName: 'Super Bowl' },
+      { displayName: 'Moo Deng' },
+      { displayName: 'giveaway' }
+    ], relevanceConfig({ RELEVANCE_BLOCK_TERMS: 'giveaway' }));
+    assert.deepEqual(filterTrends(trends).map(t => t.displayName), ['Moo Deng', 'Super Bowl']);
+  }
+};
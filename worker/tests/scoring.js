@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { SCORING_PROFILES, scoreTrend, scoreTrends } from '../scoring.js';
+
+const WEIGHTS = { tiktok: 0.4, twitter: 0.3, reddit: 0.3 };
+
+function trend(scores, extra = {}) {
+  return { name: 'x', scores, sources: Object.keys(scores), categories: [], memeStatus: 'unknown', ...extra };
+}
+
+export default {
+  'base is the weighted average of the source scores'() {
+    const { scoreBreakdown } = scoreTrend(trend({ tiktok: 80, twitter: 40 }), WEIGHTS, 'neutral');
+    assert.equal(scoreBreakdown.base, 62.9);
+    assert.deepEqual(scoreBreakdown.sources, { tiktok: { score: 80, weight: 0.4 }, twitter: { score: 40, weight: 0.3 } });
+    assert.deepEqual(scoreBreakdown.multipliers, []);
+  },
+
+  'unknown sources weigh 0.1'() {
+    assert.equal(scoreTrend(trend({ other: 50 }), WEIGHTS, 'neutral').scoreBreakdown.sources.other.weight, 0.1);
+  },
+
+  'default profile applies multi-source, category and Know Your Meme boosts in order'() {
+    const scored = scoreTrend(trend({ tiktok: 50, twitter: 50 }, {
+      categories: [{ name: 'animal', confidence: 0.6 }, { name: 'ai', confidence: 0.4 }],
+      memeStatus: 'confirmed'
+    }), WEIGHTS);
+    assert.deepEqual(scored.scoreBreakdown.multipliers.map(m => [m.name, m.factor]), [
+      ['multiSource', 1.15], ['category', 1.4], ['knowYourMeme', 1.2]
+    ]);
+    assert.equal(scored.scoreBreakdown.raw, 96.6);
+    assert.equal(scored.aggregateScore, 97);
+  },
+
+  'multi-source takes the highest threshold reached'() {
+    const scored = scoreTrend(trend({ tiktok: 10, twitter: 10, reddit: 10, other: 10 }), WEIGHTS, 'crossPlatform');
+    assert.deepEqual(scored.scoreBreakdown.multipliers, [{ name: 'multiSource', factor: 1.8, reason: '4 sources' }]);
+  },
+
+  'memecoin profile boosts trends without a token, others ignore it'() {
+    const noToken = () => trend({ tiktok: 40 }, { hasToken: false });
+    assert.equal(scoreTrend(noToken(), WEIGHTS, 'memecoin').aggregateScore, 50);
+    assert.equal(scoreTrend(noToken(), WEIGHTS, 'default').aggregateScore, 40);
+    assert.equal(scoreTrend(trend({ tiktok: 40 }, { hasToken: null }), WEIGHTS, 'memecoin').aggregateScore, 40);
+  },
+
+  'scores are capped at 100'() {
+    const scored = scoreTrend(trend({ tiktok: 100, twitter: 100, reddit: 100 }, { categories: [{ name: 'animal' }] }), WEIGHTS);
+    assert.equal(scored.aggregateScore, 100);
+    assert.ok(scored.scoreBreakdown.raw > 100);
+  },
+
+  'trends stored before multi-label categories use trend.category'() {
+    const stored = trend({ tiktok: 50 });
+    delete stored.categories;
+    stored.category = 'ai';
+    assert.equal(scoreTrend(stored, WEIGHTS).aggregateScore, 65);
+  },
+
+  'scoreTrends sorts highest first'() {
+    const sorted = scoreTrends([trend({ tiktok: 10 }), trend({ tiktok: 90 }), trend({ tiktok: 50 })], WEIGHTS, 'neutral');
+    assert.deepEqual(sorted.map(t => t.aggregateScore), [90, 50, 10]);
+  },
+
+  'every profile has the fields scoreTrend reads'() {
+    for (const [name, profile] of Object.entries(SCORING_PROFILES)) {
+      for (const field of ['description', 'multiSource', 'categories', 'knowYourMeme', 'noToken']) {
+        assert.ok(field in profile, `${name}.${field}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import bluesky from '../sources/bluesky.js';
+import farcaster from '../sources/farcaster.js';
+import youtube from '../sources/youtube.js';
+
+// Response shapes of the API sources, trimmed to the fields the adapters
+// read. Real responses are replayed by fixtures.js.
+
+function cast(hash, text, channel = null) {
+  return {
+    hash: `0x${hash.padEnd(40, '0')}`,
+    text,
+    timestamp: new Date().toISOString(),
+    author: { username: 'caster' },
+    channel: channel && { id: channel },
+    reactions: { likes_count: 10, recasts_count: 5 },
+    replies: { count: 1 }
+  };
+}
+
+// fetchUrl answering from path -> body; other paths get a 500
+function respondWith(bodies) {
+  return async url => {
+    const body = bodies[new URL(url).pathname];
+    return body ? Response.json(body) : new Response('error', { status: 500 });
+  };
+}
+
+export default {
+  'Bluesky trends fall back to the topic and keep non-Latin hashtags'() {
+    const trends = bluesky.transform({
+      trends: [
+        { topic: 'ワンピース', displayName: 'ワンピース', postCount: 4380, link: '/profile/trending.bsky.app/feed/1' },
+        { topic: '$WIF', postCount: 1250, status: 'hot' }
+      ]
+    });
+
+    assert.deepEqual(trends.map(t => [t.displayName, t.hashtag]), [['ワンピース', '#ワンピース'], ['$WIF', '#wif']]);
+    assert.equal(trends[0].url, 'https://bsky.app/profile/trending.bsky.app/feed/1');
+    assert.equal(trends[1].isHot, true);
+  },
+
+  'Farcaster casts about one coin become one topic; empty casts are skipped'() {
+    const trends = farcaster.transform({
+      casts: [
+        cast('a1', '$DEGEN tips are back on', 'degen'),
+        cast('b2', 'who else is stacking $DEGEN'),
+        cast('c3', '', 'memes')
+      ],
+      channels: [{ cast_count_1d: '2140', channel: { id: 'memes', url: 'https://warpcast.com/~/channel/memes' } }]
+    });
+
+    assert.equal(trends.length, 2);
+    assert.equal(trends[0].castCount, 2);
+    assert.deepEqual(trends[0].tickers, ['DEGEN']);
+    assert.deepEqual(trends[0].channels, ['degen']);
+    assert.equal(trends[1].hashtag, '#memes');
+    assert.equal(trends[1].isChannel, true);
+  },
+
+  async 'Farcaster keeps its casts when trending channels fail'() {
+    const realError = console.error;
+    console.error = () => {};
+    let raw;
+    try {
+      raw = await farcaster.fetch({ NEYNAR_API_KEY: 'test' }, respondWith({
+        '/v2/farcaster/feed/trending': { casts: [cast('a1', 'gm')], next: { cursor: null } }
+      }));
+    } finally {
+      console.error = realError;
+    }
+
+    assert.equal(raw.casts.length, 1);
+    assert.deepEqual(raw.channels, []);
+  },
+
+  'YouTube videos without tags or comment counts still parse'() {
+    const trends = youtube.transform({
+      items: [{
+        id: 'Xy7Pq2Lm9Zt',
+        snippet: { title: 'Pokémon Legends: Z-A – Official Launch Trailer', channelTitle: 'Pokémon' },
+        statistics: { viewCount: '2870310' }
+      }]
+    });
+
+    assert.equal(trends.length, 1);
+    assert.equal(trends[0].views, 2870310);
+    assert.equal(trends[0].comments, 0);
+    assert.equal(trends[0].url, 'https://www.youtube.com/watch?v=Xy7Pq2Lm9Zt');
+  }
+};
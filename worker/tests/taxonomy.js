@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { categorize, taxonomyConfig } from '../taxonomy.js';
+
+const TAXONOMY = taxonomyConfig({});
+
+function labels(trend, taxonomy = TAXONOMY) {
+  return categorize(trend, taxonomy).categories.map(({ name, confidence }) => [name, confidence]);
+}
+
+export default {
+  'a term in the name weighs most'() {
+    assert.deepEqual(labels({ name: 'hippo', displayName: 'Hippo' }), [['animal', 0.6]]);
+  },
+
+  'matched terms combine into one confidence'() {
+    assert.deepEqual(labels({ name: 'catcoin', displayName: '#CatCoin', keywords: ['cat', 'coin'] }), [['animal', 0.6], ['crypto', 0.6]]);
+    assert.deepEqual(labels({ name: 'x', displayName: 'x', keywords: ['dog', 'cat'] }), [['animal', 0.64]]);
+  },
+
+  'a single headline mention is below the threshold'() {
+    assert.deepEqual(categorize({ name: 'x', displayName: 'x', articles: [{ title: 'A cat was there' }] }, TAXONOMY), { category: 'unknown', categories: [] });
+  },
+
+  'terms match whole words and phrases'() {
+    assert.deepEqual(labels({ name: 'celebrate', displayName: 'Celebrate', description: 'They said so' }), []);
+    assert.deepEqual(labels({ name: 'x', displayName: 'x', keywords: ['elon', 'musk'] }), []);
+    assert.deepEqual(labels({ name: 'elonmusk', displayName: 'Elon Musk' }), [['celebrity', 0.6]]);
+  },
+
+  'CATEGORY_<NAME>_TERMS extends or creates categories'() {
+    const taxonomy = taxonomyConfig({ CATEGORY_SPORTS_TERMS: 'nfl, world series', CATEGORY_ANIMAL_TERMS: 'axolotl' });
+    assert.deepEqual(taxonomy.sports, ['nfl', 'world series']);
+    assert.ok(taxonomy.animal.includes('axolotl'));
+    assert.equal(categorize({ name: 'worldseries', displayName: '#WorldSeries' }, taxonomy).category, 'sports');
+  },
+
+  'at most three labels are kept, most confident first'() {
+    const { categories } = categorize({
+      name: 'x',
+      displayName: 'AI cat coin gaming',
+      keywords: ['trump']
+    }, TAXONOMY);
+    assert.equal(categories.length, 3);
+    assert.deepEqual(categories.map(c => c.confidence), [0.6, 0.6, 0.6]);
+  }
+};
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { matchTokens } from '../tokens.js';
+
+function pair(symbol, name, volume) {
+  return {
+    chainId: 'solana',
+    baseToken: { symbol, name, address: `${symbol}-address` },
+    liquidity: { usd: 50000 },
+    volume: { h24: volume },
+    pairAddress: `${symbol}-pair`
+  };
+}
+
+// Runs matchTokens with DexScreener answering from pairsByTerm
+async function match(trends, pairsByTerm, env = {}) {
+  const realFetch = globalThis.fetch;
+  const realError = console.error;
+  globalThis.fetch = async url => Response.json({ pairs: pairsByTerm[new URL(url).searchParams.get('q')] || [] });
+  console.error = () => {};
+  try {
+    return await matchTokens(trends, env);
+  } finally {
+    globalThis.fetch = realFetch;
+    console.error = realError;
+  }
+}
+
+const BROKEN_KV = {
+  get: async () => { throw new Error('KV unavailable'); },
+  put: async () => { throw new Error('KV unavailable'); }
+};
+
+export default {
+  async 'a token containing the term is a partial match, not a token'() {
+    const [cat] = await match([{ name: 'cat', keywords: ['cat'] }], { cat: [pair('POPCAT', 'Popcat', 900)] });
+    assert.equal(cat.hasToken, false);
+    assert.deepEqual(cat.tokens, []);
+    assert.deepEqual(cat.partialTokens.map(t => [t.symbol, t.match]), [['POPCAT', 'partial']]);
+  },
+
+  async 'exact symbol or name matches count, before partials'() {
+    const [moodeng] = await match([{ name: 'moodeng', keywords: ['moodeng'] }], {
+      moodeng: [pair('MOODENGAI', 'Moo Deng AI', 900), pair('MOODENG', 'Moo Deng', 100), pair('DENG', 'Moo Deng', 50)]
+    });
+    assert.equal(moodeng.hasToken, true);
+    assert.deepEqual(moodeng.tokens.map(t => t.symbol), ['MOODENG', 'DENG']);
+    assert.deepEqual(moodeng.partialTokens.map(t => t.symbol), ['MOODENGAI']);
+  },
+
+  async 'the keyword is searched when the name has no exact match'() {
+    const [trend] = await match([{ name: 'babyhippo', keywords: ['moodeng'] }], {
+      babyhippo: [pair('BABYHIPPOX', 'Baby Hippo X', 10)],
+      moodeng: [pair('MOODENG', 'Moo Deng', 100)]
+    });
+    assert.deepEqual(trend.tokens.map(t => t.symbol), ['MOODENG']);
+    assert.deepEqual(trend.partialTokens.map(t => t.symbol), ['BABYHIPPOX']);
+  },
+
+  async 'KV errors are cache misses'() {
+    const [pepe] = await match([{ name: 'pepe', keywords: ['pepe'] }], { pepe: [pair('PEPE', 'Pepe', 100)] }, { TREND_HISTORY: BROKEN_KV });
+    assert.equal(pepe.hasToken, true);
+  },
+
+  async 'trends without a usable term stay unchecked'() {
+    const [trend] = await match([{ name: 'gm', keywords: ['gm'] }], {});
+    assert.equal(trend.hasToken, null);
+    assert.equal(trend.tokens, null);
+  }
+};
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { clusterPosts, extractKeywords } from '../topics.js';
+
+function post(title, score = 10, extra = {}) {
+  return { title, score, comments: 1, ...extra };
+}
+
+// Titles of each topic, in topic order
+function titles(topics) {
+  return topics.map(topic => topic.posts.map(p => p.title));
+}
+
+export default {
+  'extractKeywords drops stop words and short words'() {
+    assert.deepEqual(extractKeywords('Why is the hippo at the zoo so popular?'), ['hippo', 'zoo', 'popular']);
+  },
+
+  'posts sharing a cashtag form one topic labelled with it'() {
+    const topics = clusterPosts([post('Just aped into $PNUT', 50), post('$pnut chart looks insane', 20), post('My cat learned to open doors', 5)]);
+    assert.deepEqual(titles(topics), [['Just aped into $PNUT', '$pnut chart looks insane'], ['My cat learned to open doors']]);
+    assert.equal(topics[0].label, '$PNUT');
+    assert.equal(topics[0].key, 'pnut');
+    assert.equal(topics[0].score, 70);
+    assert.equal(topics[0].comments, 2);
+  },
+
+  'posts naming the same entity mid-sentence are grouped'() {
+    const topics = clusterPosts([post('The zoo says Peanut Butter escaped again', 30), post('Cannot believe Peanut Butter is famous now', 10)]);
+    assert.equal(topics.length, 1);
+    assert.equal(topics[0].label, 'Peanut Butter');
+  },
+
+  'all-caps words that are not token symbols do not link posts'() {
+    const topics = clusterPosts([post('HELP my landlord is ignoring me'), post('HELP which laptop should I buy')]);
+    assert.equal(topics.length, 2);
+  },
+
+  'two shared keywords covering a third of the keywords link posts'() {
+    const topics = clusterPosts([post('giant hippo escapes enclosure'), post('hippo escapes again tonight')]);
+    assert.equal(topics.length, 1);
+    assert.deepEqual(topics[0].keywords.sort(), ['escapes', 'hippo']);
+  },
+
+  'a title starting with a two-word name keeps its first word'() {
+    const topics = clusterPosts([post('Moo Deng is back', 40), post('Zoo says Moo Deng has a new sibling', 20)]);
+    assert.equal(topics.length, 1);
+    assert.equal(topics[0].label, 'Moo Deng');
+    assert.equal(topics[0].key, 'moodeng');
+  },
+
+  'a lone first word counts when another post capitalizes it mid-sentence'() {
+    assert.equal(clusterPosts([post('Pesto is the biggest penguin ever'), post('Keepers weighed Pesto today')]).length, 1);
+    assert.equal(clusterPosts([post('Anyone else tired today'), post('Anyone know a good plumber')]).length, 2);
+  },
+
+  'sentence-initial stop words do not start a name'() {
+    assert.equal(clusterPosts([post('The Verge reviewed it'), post('The Verge is hiring')])[0].label, 'Verge');
+  },
+
+  'posts sharing only BTC, ETH or SOL stay apart'() {
+    const topics = clusterPosts([
+      post('Gold vs silver for the next decade', 30, { text: 'ETH is dead, BTC and SOL too' }),
+      post('Moo Deng coin launched on $SOL', 20),
+      post('New PEPE clone on $SOL is pumping', 15),
+      post('$ETH gas fees are low again', 10),
+      post('Bought my first $ETH at the top', 5),
+      post('BTC dominance keeps climbing', 4)
+    ]);
+    assert.equal(topics.length, 6);
+  },
+
+  'tickers in post bodies do not link posts'() {
+    const topics = clusterPosts([
+      post('My landlord raised the rent', 10, { text: 'at least $PNUT is up' }),
+      post('Best pizza in Chicago?', 5, { text: 'paid for it with $PNUT gains' })
+    ]);
+    assert.equal(topics.length, 2);
+    assert.deepEqual(topics[0].tickers, ['PNUT']);
+  },
+
+  'a post naming two coins does not chain their topics'() {
+    const topics = clusterPosts([
+      post('$WIF holders assemble', 30),
+      post('$WIF new high today', 20),
+      post('$BONK or $WIF this cycle?', 10),
+      post('$BONK chart breaking out', 5),
+      post('$BONK burn announced', 5)
+    ]);
+    assert.deepEqual(topics.map(t => t.label), ['$WIF', '$BONK']);
+    assert.deepEqual(topics.map(t => t.posts.length), [2, 3]);
+  },
+
+  'a lone post keeps its title as label and has no key'() {
+    const [topic] = clusterPosts([post('Weekend plans thread')]);
+    assert.equal(topic.label, 'Weekend plans thread');
+    assert.equal(topic.key, null);
+  },
+
+  'topics are sorted by summed score'() {
+    const topics = clusterPosts([post('quiet post', 1), post('$BONK to the moon', 5), post('$BONK again', 5), post('loud post', 8)]);
+    assert.deepEqual(topics.map(t => t.score), [10, 8, 1]);
+  }
+};
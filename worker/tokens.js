@@ -0,0 +1,160 @@
+/**
+ * Memecoin matching: finds DexScreener pairs for the top trends so the
+ * dashboard can tell which trends already have a tradable token and which
+ * don't yet.
+ *
+ * Each trend is searched by its name, then by its first keyword. A trend has
+ * a token only when a pair's token symbol or name is the search term
+ * ("moodeng" matches $MOODENG and "Moo Deng"). Pairs that merely contain it
+ * ("cat" in $POPCAT) are reported as partial matches but don't count, so
+ * loose search hits don't hide an open opportunity. Names compare after
+ * normalizeName (see entities.js), so "ムーデン" or "🐸" match a token named
+ * that way. Search results are cached per term in the TREND_HISTORY namespace
+ * when it is bound; a KV error is a cache miss.
+ */
+
+import { normalizeName } from './entities.js';
+
+const DEXSCREENER_SEARCH_URL = 'https://api.dexscreener.com/latest/dex/search';
+
+const TOKEN_CHAINS = ['solana', 'base'];
+const MIN_LIQUIDITY_USD = 10000;
+const TOKENS_PER_TREND = 3;
+
+// Only the top of the list is checked; DexScreener allows ~300 searches a minute
+const TOKEN_MATCH_LIMIT = 20;
+const TOKEN_MATCH_CONCURRENCY = 5;
+
+// Outlives one refresh interval (the cron runs every 30 minutes), so the next
+// refresh reuses a term's results instead of searching and writing it again
+const TOKEN_CACHE_TTL = 3600; // seconds
+
+// How a pair relates to the search term: "exact" (symbol or name is the
+// term), "partial" (contains it) or null
+function matchQuality(pair, term) {
+  const symbol = normalizeName(pair.baseToken?.symbol || '');
+  const name = normalizeName(pair.baseToken?.name || '');
+  if (symbol === term || name === term) return 'exact';
+  if (symbol.includes(term) || name.includes(term)) return 'partial';
+  return null;
+}
+
+// Matching pairs for one term, best first (exact before partial, then by
+// 24h volume). Throws when DexScreener fails.
+async function searchTokens(term, env) {
+  const cacheKey = `dex:${term}`;
+  if (env.TREND_HISTORY) {
+    try {
+      const cached = await env.TREND_HISTORY.get(cacheKey, 'json');
+      if (cached) return cached;
+    } catch (error) {
+      // A KV error is a cache miss, not a failed lookup
+      console.error(`DexScreener cache read error for ${term}:`, error);
+    }
+  }
+
+  const response = await fetch(`${DEXSCREENER_SEARCH_URL}?q=${encodeURIComponent(term)}`);
+  if (!response.ok) {
+    throw new Error(`DexScreener API error: ${response.status}`);
+  }
+  const data = await response.json();
+
+  const matched = (data.pairs || [])
+    .filter(pair => TOKEN_CHAINS.includes(pair.chainId?.toLowerCase()))
+    .filter(pair => (pair.liquidity?.usd || 0) >= MIN_LIQUIDITY_USD)
+    .map(pair => ({ pair, match: matchQuality(pair, term) }))
+    .filter(({ match }) => match !== null)
+    .sort((a, b) =>
+      (a.match === 'exact' ? 0 : 1) - (b.match === 'exact' ? 0 : 1) ||
+      (b.pair.volume?.h24 || 0) - (a.pair.volume?.h24 || 0)
+    )
+    .map(({ pair, match }) => ({
+      name: pair.baseToken?.name || 'Unknown',
+      symbol: pair.baseToken?.symbol || '???',
+      address: pair.baseToken?.address || null,
+      chainId: pair.chainId.toLowerCase(),
+      dexId: pair.dexId || null,
+      pairAddress: pair.pairAddress || null,
+      price: pair.priceUsd || '0',
+      priceChange24h: pair.priceChange?.h24 || 0,
+      volume24h: pair.volume?.h24 || 0,
+      liquidity: pair.liquidity?.usd || 0,
+      fdv: pair.fdv ?? null,
+      pairCreatedAt: pair.pairCreatedAt || null,
+      url: pair.url || null,
+      match
+    }));
+
+  // Up to TOKENS_PER_TREND of each kind, so partials can't crowd out exact
+  // matches
+  const tokens = [
+    ...matched.filter(token => token.match === 'exact').slice(0, TOKENS_PER_TREND),
+    ...matched.filter(token => token.match === 'partial').slice(0, TOKENS_PER_TREND)
+  ];
+
+  if (env.TREND_HISTORY) {
+    try {
+      await env.TREND_HISTORY.put(cacheKey, JSON.stringify(tokens), { expirationTtl: TOKEN_CACHE_TTL });
+    } catch (error) {
+      console.error(`DexScreener cache write error for ${term}:`, error);
+    }
+  }
+  return tokens;
+}
+
+async function matchTrend(trend, env) {
+  // Names are already normalized; three characters, or two outside Latin
+  // script ("東京"), are enough to search on
+  const terms = [...new Set([trend.name, normalizeName(trend.keywords?.[0] || '')])]
+    .filter(term => Array.from(term).length >= (/^[\p{Script=Latin}\p{N}]*$/u.test(term) ? 3 : 2));
+
+  // Nothing to search on is not the same as "no token yet" either
+  if (terms.length === 0) return;
+
+  try {
+    let tokens = [];
+    let partialTokens = [];
+    for (const term of terms) {
+      const found = await searchTokens(term, env);
+      tokens = found.filter(token => token.match === 'exact');
+      if (partialTokens.length === 0) partialTokens = found.filter(token => token.match === 'partial');
+      if (tokens.length > 0) break;
+    }
+    trend.tokens = tokens;
+    trend.partialTokens = partialTokens;
+    trend.hasToken = tokens.length > 0;
+  } catch (error) {
+    // Unknown is not the same as "no token yet"
+    console.error(`Token match error for ${trend.name}:`, error);
+    trend.tokens = null;
+    trend.partialTokens = null;
+    trend.hasToken = null;
+  }
+}
+
+// Adds to each of the top TOKEN_MATCH_LIMIT trends:
+//   tokens         exact matches (name, symbol, chainId, liquidity, volume24h,
+//                  fdv, pairCreatedAt, url, match ...), best first
+//   partialTokens  pairs whose symbol or name only contains the term, best
+//                  first; they don't count as a token
+//   hasToken       true when there is an exact match, false ("no token yet")
+//                  when there is none, null when the lookup failed
+// Trends further down, and trends with no usable search term, keep all three
+// null (not checked).
+export async function matchTokens(trends, env) {
+  trends.forEach(trend => {
+    trend.tokens = null;
+    trend.partialTokens = null;
+    trend.hasToken = null;
+  });
+
+  const queue = trends.slice(0, TOKEN_MATCH_LIMIT);
+  const workers = Array.from({ length: TOKEN_MATCH_CONCURRENCY }, async () => {
+    while (queue.length > 0) {
+      await matchTrend(queue.shift(), env);
+    }
+  });
+  await Promise.all(workers);
+
+  return trends;
+}
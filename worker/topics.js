@@ -0,0 +1,224 @@
+/**
+ * Topic clustering for post-based sources (Reddit posts, 4chan threads).
+ *
+ * A post on its own is a headline, not a trend. clusterPosts() groups posts
+ * that talk about the same thing, linking two posts when they share
+ *
+ *   - a ticker: a $cashtag in the title. Bodies, symbols written without a $
+ *     and the majors (BTC, ETH, SOL) are everywhere on crypto boards and
+ *     would chain unrelated posts together
+ *   - a named entity: a run of capitalized words ("Moo Deng"). A title's
+ *     first word only counts when the next word is capitalized too, or when
+ *     another post capitalizes it mid-sentence
+ *   - at least two keywords, covering a third of their combined keywords
+ *
+ * Grouping is transitive, but a topic never ends up with two different
+ * tickers, so a post naming two coins can't chain their topics together.
+ * Each topic sums the score (upvotes, replies) and comments of its posts and
+ * keeps them ordered best first.
+ */
+
+import { extractMentions, knownSymbols } from './mentions.js';
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'what', 'which', 'who', 'whom', 'when', 'where', 'why', 'how', 'all', 'each', 'every', 'both', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very', 'just', 'also', 'now', 'here', 'there', 'then', 'once', 'if', 'me', 'im', 'ive', 'dont', 'cant', 'wont', 'isnt', 'arent', 'wasnt', 'werent', 'hasnt', 'havent', 'hadnt', 'doesnt', 'didnt', 'wouldnt', 'couldnt', 'shouldnt', 'mustnt', 'lets', 'thats', 'whos', 'whats', 'heres', 'theres', 'wheres', 'whens', 'whys', 'hows', 'because', 'as', 'until', 'while', 'although', 'though', 'after', 'before', 'when', 'whenever', 'where', 'wherever', 'whether', 'however', 'therefore', 'otherwise']);
+
+// Symbols that count without a $ (no DexScreener matches yet at this point)
+const TICKER_SYMBOLS = knownSymbols([]);
+
+// Named in passing by posts about anything; never link posts
+const MAJOR_SYMBOLS = new Set(['BTC', 'ETH', 'SOL', 'BNB', 'XRP']);
+
+// Minimum shared keywords, and their share of the two posts' combined
+// keywords, for a keyword link
+const MIN_SHARED_KEYWORDS = 2;
+const MIN_KEYWORD_OVERLAP = 1 / 3;
+
+// Extract meaningful lowercase keywords from a title
+export function extractKeywords(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .split(/\s+/)
+    .filter(word => (word.length > 2 || /[^\x00-\x7f]/.test(word)) && !STOP_WORDS.has(word))
+    .slice(0, 5);
+}
+
+// Cashtags and known symbols in the title or body
+function extractTickers(title, text) {
+  return new Set(extractMentions(`${title}\n${text}`, TICKER_SYMBOLS).keys());
+}
+
+// The first cashtag of the title that isn't a major: the ticker the post
+// links on, or null
+function linkTicker(title) {
+  for (const symbol of extractMentions(title, new Set()).keys()) {
+    if (!MAJOR_SYMBOLS.has(symbol)) return symbol;
+  }
+  return null;
+}
+
+function isCapitalized(word) {
+  return /^[A-Z][a-z]/.test(word);
+}
+
+// Runs of capitalized words as a Map of lowercase key -> words ("moodeng" ->
+// "Moo Deng"), and openers: capitalized first words of a sentence that stand
+// alone ("Deng is back"), which may just be capitalized for the sentence.
+// Title Case headlines capitalize everything and are skipped.
+function extractEntities(title) {
+  const words = title.split(/\s+/).filter(Boolean);
+  const capitalized = words.filter(w => isCapitalized(w));
+  if (words.length > 3 && capitalized.length / words.length > 0.6) return { entities: new Map(), openers: new Map() };
+
+  const entities = new Map();
+  const openers = new Map();
+  let run = [];
+  let opener = false;
+  const flush = () => {
+    const entity = run.join('').toLowerCase();
+    if (entity.length >= 4 && !STOP_WORDS.has(entity)) (opener && run.length === 1 ? openers : entities).set(entity, run.join(' '));
+    run = [];
+  };
+
+  words.forEach((word, i) => {
+    const clean = word.replace(/[^\w]/g, '');
+    const sentenceStart = i === 0 || /[.!?:]$/.test(words[i - 1]);
+    if (isCapitalized(clean) && !(sentenceStart && STOP_WORDS.has(clean.toLowerCase()))) {
+      if (sentenceStart && run.length) flush();
+      if (run.length === 0) opener = sentenceStart;
+      run.push(clean);
+    } else {
+      if (run.length) flush();
+    }
+    if (/[.!?:,]$/.test(word) && run.length) flush();
+  });
+  if (run.length) flush();
+
+  return { entities, openers };
+}
+
+function sharesAny(a, b) {
+  for (const item of a.keys()) {
+    if (b.has(item)) return true;
+  }
+  return false;
+}
+
+function keywordLink(a, b) {
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return shared >= MIN_SHARED_KEYWORDS && shared / union >= MIN_KEYWORD_OVERLAP;
+}
+
+// Adds each post's openers to its entities when another post has the word
+// as an entity
+function promoteOpeners(described) {
+  described.forEach(d => {
+    for (const [key, word] of d.openers) {
+      if (described.some(other => other !== d && other.entities.has(key))) d.entities.set(key, word);
+    }
+  });
+}
+
+// Values across the posts' sets (or map keys) with how many posts have
+// each, most common first
+function rankByPosts(sets) {
+  const counts = new Map();
+  sets.forEach(set => {
+    for (const value of set.keys()) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  });
+  return Array.from(counts.entries())
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// posts: [{ title, text?, score, comments, ... }] - text is extra body text
+// searched for tickers and keywords. Returns topics sorted by score:
+//
+//   label     "$PEPE", "Moo Deng", shared keywords, or the title of a lone post
+//   key       lowercase alphanumeric form of the label, for a lone post null
+//   tickers   tickers mentioned in the topic (titles and bodies), most common
+//             first
+//   keywords  keywords shared by at least two posts (a lone post's own keywords)
+//   posts     member posts, best score first
+//   score     summed post scores
+//   comments  summed comment counts
+export function clusterPosts(posts) {
+  const described = posts.map(post => ({
+    post,
+    tickers: extractTickers(post.title, post.text || ''),
+    ticker: linkTicker(post.title),
+    ...extractEntities(post.title),
+    keywords: new Set([...extractKeywords(post.title), ...extractKeywords(post.text || '')])
+  }));
+  promoteOpeners(described);
+
+  // Union-find over post indexes; each root remembers its topic's ticker
+  const parent = described.map((_, i) => i);
+  const rootTicker = described.map(d => d.ticker);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (i, j) => {
+    const a = find(i);
+    const b = find(j);
+    if (a === b) return;
+    if (rootTicker[a] && rootTicker[b] && rootTicker[a] !== rootTicker[b]) return;
+    parent[b] = a;
+    rootTicker[a] = rootTicker[a] || rootTicker[b];
+  };
+
+  for (let i = 0; i < described.length; i++) {
+    for (let j = i + 1; j < described.length; j++) {
+      const a = described[i];
+      const b = described[j];
+      if ((a.ticker && a.ticker === b.ticker) || sharesAny(a.entities, b.entities) || keywordLink(a.keywords, b.keywords)) {
+        union(i, j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  described.forEach((d, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(d);
+  });
+
+  return Array.from(groups.values())
+    .map(group => {
+      group.sort((a, b) => b.post.score - a.post.score);
+
+      const tickers = rankByPosts(group.map(d => d.tickers));
+      const linkTickers = rankByPosts(group.filter(d => d.ticker).map(d => new Set([d.ticker])));
+      const entities = rankByPosts(group.map(d => d.entities));
+      const sharedKeywords = rankByPosts(group.map(d => d.keywords))
+        .filter(k => k.count >= 2)
+        .map(k => k.value);
+
+      let label = group[0].post.title;
+      if (group.length > 1) {
+        if (linkTickers[0]?.count >= 2) {
+          label = `$${linkTickers[0].value}`;
+        } else if (entities[0]?.count >= 2) {
+          label = group.find(d => d.entities.has(entities[0].value)).entities.get(entities[0].value);
+        } else if (sharedKeywords.length > 0) {
+          label = sharedKeywords.slice(0, 3).join(' ');
+        }
+      }
+
+      return {
+        label,
+        key: group.length > 1 ? label.toLowerCase().replace(/[^a-z0-9]/g, '') : null,
+        tickers: tickers.map(t => t.value),
+        keywords: group.length > 1 ? sharedKeywords : [...group[0].keywords],
+        posts: group.map(d => d.post),
+        score: group.reduce((sum, d) => sum + d.post.score, 0),
+        comments: group.reduce((sum, d) => sum + (d.post.comments || 0), 0)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}